@@ -1,27 +1,381 @@
-import React, { useState, useEffect, useRef } from "react";
-import Papa from "papaparse";
+import React, {
+  useState,
+  useEffect,
+  useMemo,
+  useRef,
+  useCallback,
+} from "react";
 import _ from "lodash";
 import * as d3 from "d3";
+import { detectCommunities, computeModularity } from "./community";
+import {
+  NODE_METRICS,
+  nodeMetricValue,
+  formatMetric,
+  ensureCentralities,
+  needsCentrality,
+} from "./centrality";
+import {
+  guessColumnMapping,
+  mappingFitsFields,
+  applyColumnMapping,
+} from "./columns";
+import { readFileDecoded, FORMAT_LABELS } from "./importers";
+import {
+  DEFAULT_NORMALIZATION,
+  parseThesaurus,
+  buildThesaurusMap,
+  cleanKeywords,
+} from "./normalize";
+import { DEFAULT_TOKENIZATION, tokenizeKeywords } from "./tokenize";
+import {
+  LINK_WEIGHT_MEASURES,
+  COUNTING_METHODS,
+  getThresholds,
+  isMeasureAvailable,
+  computeLinkWeight,
+  formatWeight,
+} from "./linkWeights";
+import { createLayoutSimulation } from "./layout";
+import {
+  RENDERERS,
+  prefersCanvas,
+  linkPath,
+  createCanvasRenderer,
+} from "./canvasRenderer";
+import { DENSITY_VIEWS, drawDensity } from "./density";
+import { createAnalysisClient } from "./analysisClient";
+import ProgressBar from "./ProgressBar";
+import ColumnMappingDialog from "./ColumnMappingDialog";
+import KeywordPreview from "./KeywordPreview";
+import KeywordTable from "./KeywordTable";
+import {
+  DEFAULT_TIME_SLICE,
+  getYearRange,
+  getSlicePeriod,
+  slicePapers,
+  formatPeriod,
+} from "./timeSlice";
+import TimeSlicePanel from "./TimeSlicePanel";
+import { DEFAULT_BURST_OPTIONS, BURST_COLOR, detectBursts } from "./burst";
+import BurstPanel from "./BurstPanel";
+import { defaultPeriods, buildThemeEvolution } from "./evolution";
+import EvolutionView from "./EvolutionView";
+import StrategicDiagram from "./StrategicDiagram";
+import CooccurrenceMatrix from "./CooccurrenceMatrix";
+import { resolveCommunityNames, renameCommunity } from "./communityLabels";
+import {
+  toGEXF,
+  toGraphML,
+  toPajek,
+  toVOSviewer,
+  parseGraphFile,
+} from "./graphFormats";
+import { downloadFile } from "./download";
+import {
+  DEFAULT_FIGURE_OPTIONS,
+  figureSize,
+  exportFigure,
+  pdfRasterized,
+} from "./figureExport";
+import FigureExportDialog from "./FigureExportDialog";
+import {
+  PROJECT_SETTINGS,
+  PROJECT_EXTENSION,
+  serializeProject,
+  parseProject,
+} from "./project";
 
 // 示例数据（当无法加载CSV文件时使用）
 const SAMPLE_DATA = [
-  { Keywords: "机器学习; 人工智能; 深度学习" },
-  { Keywords: "人工智能; 神经网络; 强化学习" },
-  { Keywords: "深度学习; 计算机视觉; 图像识别" },
-  { Keywords: "自然语言处理; 机器学习; 深度学习" },
-  { Keywords: "大数据; 数据挖掘; 人工智能" },
-  { Keywords: "强化学习; 深度学习; 马尔可夫决策过程" },
-  { Keywords: "计算机视觉; 卷积神经网络; 深度学习" },
-  { Keywords: "知识图谱; 自然语言处理; 语义网" },
-  { Keywords: "推荐系统; 协同过滤; 机器学习" },
-  { Keywords: "图神经网络; 深度学习; 图算法" },
-  { Keywords: "迁移学习; 深度学习; 域适应" },
-  { Keywords: "情感分析; 自然语言处理; 机器学习" },
-  { Keywords: "机器翻译; 自然语言处理; 注意力机制" },
-  { Keywords: "语音识别; 深度学习; 隐马尔可夫模型" },
-  { Keywords: "图像分割; 计算机视觉; 深度学习" },
+  { Keywords: "机器学习; 人工智能; 深度学习", Year: 2015 },
+  { Keywords: "人工智能; 神经网络; 强化学习", Year: 2016 },
+  { Keywords: "深度学习; 计算机视觉; 图像识别", Year: 2016 },
+  { Keywords: "自然语言处理; 机器学习; 深度学习", Year: 2017 },
+  { Keywords: "大数据; 数据挖掘; 人工智能", Year: 2015 },
+  { Keywords: "强化学习; 深度学习; 马尔可夫决策过程", Year: 2018 },
+  { Keywords: "计算机视觉; 卷积神经网络; 深度学习", Year: 2017 },
+  { Keywords: "知识图谱; 自然语言处理; 语义网", Year: 2019 },
+  { Keywords: "推荐系统; 协同过滤; 机器学习", Year: 2016 },
+  { Keywords: "图神经网络; 深度学习; 图算法", Year: 2021 },
+  { Keywords: "迁移学习; 深度学习; 域适应", Year: 2020 },
+  { Keywords: "情感分析; 自然语言处理; 机器学习", Year: 2018 },
+  { Keywords: "机器翻译; 自然语言处理; 注意力机制", Year: 2022 },
+  { Keywords: "语音识别; 深度学习; 隐马尔可夫模型", Year: 2019 },
+  { Keywords: "图像分割; 计算机视觉; 深度学习", Year: 2023 },
 ];
 
+// 社区配色：按社区在节点列表中首次出现的顺序分配颜色
+const communityColorScale = (nodes) =>
+  d3
+    .scaleOrdinal()
+    .domain([...new Set(nodes.map((d) => d.community))])
+    .range(NATURE_COLORS);
+
+// 节点半径：按所选指标的平方根缩放
+const nodeRadiusScale = (nodes, sizeBy) => {
+  const value = (d) => nodeMetricValue(d, sizeBy);
+  const scale = d3.scaleSqrt().domain(d3.extent(nodes, value)).range([5, 25]);
+  return (d) => scale(value(d));
+};
+
+// 节点径向渐变的 id
+const gradientId = (d) => `gradient-${d.id.replace(/\s+/g, "-")}`;
+
+// 创建网络图的 SVG 场景：背景、可缩放的连线和节点图层、固定位置的年份区间和
+// 图例，以及缩放行为。onZoom(k) 在缩放级别变化时调用
+const createNetworkScene = (svgElement, onZoom) => {
+  const svg = d3.select(svgElement);
+  const defs = svg.append("defs");
+
+  // 添加底层图案 - Nature风格的微妙网格
+  defs
+    .append("pattern")
+    .attr("id", "grid")
+    .attr("width", 20)
+    .attr("height", 20)
+    .attr("patternUnits", "userSpaceOnUse")
+    .append("path")
+    .attr("d", "M 20 0 L 0 0 0 20")
+    .attr("fill", "none")
+    .attr("stroke", "#f0f0f0")
+    .attr("stroke-width", 0.5);
+
+  // 定义箭头marker
+  defs
+    .append("marker")
+    .attr("id", "arrow")
+    .attr("viewBox", "0 -5 10 10")
+    .attr("refX", 10)
+    .attr("refY", 0)
+    .attr("markerWidth", 6)
+    .attr("markerHeight", 6)
+    .attr("orient", "auto")
+    .attr("opacity", 0.5)
+    .append("path")
+    .attr("class", "arrow-head")
+    .attr("d", "M0,-5L10,0L0,5");
+
+  // 添加发光效果
+  const filter = defs
+    .append("filter")
+    .attr("id", "glow")
+    .attr("height", "130%");
+
+  filter
+    .append("feGaussianBlur")
+    .attr("stdDeviation", "2")
+    .attr("result", "coloredBlur");
+
+  const feMerge = filter.append("feMerge");
+  feMerge.append("feMergeNode").attr("in", "coloredBlur");
+  feMerge.append("feMergeNode").attr("in", "SourceGraphic");
+
+  // 图例中的连续色带
+  const yearGradient = defs
+    .append("linearGradient")
+    .attr("id", "year-gradient");
+  d3.range(0, 1.01, 0.1).forEach((t) => {
+    yearGradient
+      .append("stop")
+      .attr("offset", `${t * 100}%`)
+      .attr("stop-color", d3.interpolateViridis(t));
+  });
+
+  // 创建一个包含所有可缩放内容的组
+  const container = svg.append("g").attr("class", "zoom-container");
+
+  const scene = {
+    svg,
+    container,
+    gradients: svg.append("defs").attr("class", "node-gradients"),
+    background: container
+      .append("rect")
+      .attr("class", "background")
+      .attr("fill", "url(#grid)"),
+    // 添加背景水印
+    watermark: container
+      .append("text")
+      .attr("class", "watermark")
+      .attr("text-anchor", "end")
+      .attr("font-family", "'Arial', sans-serif")
+      .attr("font-size", "12px")
+      .text(`关键词网络分析 · ${new Date().getFullYear()}`),
+    density: container.append("g").attr("class", "density"),
+    densityFrame: null,
+    link: container.append("g").attr("class", "links").selectAll("path"),
+    node: container.append("g").attr("class", "nodes").selectAll("g"),
+    periodText: svg
+      .append("text")
+      .attr("class", "period-label")
+      .attr("x", 30)
+      .attr("font-family", "'Arial', sans-serif")
+      .attr("font-size", 28)
+      .attr("font-weight", 600)
+      .style("pointer-events", "none"),
+    legend: svg
+      .append("g")
+      .attr("class", "legend")
+      .style("pointer-events", "none"), // 避免与缩放交互
+    nodes: [],
+    links: [],
+    style: null,
+    layoutKey: null,
+    canvasRenderer: null, // 画布模式下的渲染器，鼠标事件仍落在上层的 SVG 上
+  };
+
+  // 定义缩放行为
+  scene.zoom = d3
+    .zoom()
+    .scaleExtent([0.2, 8]) // 设置缩放范围
+    // 画布模式下从节点上开始的拖动用于拖拽节点，不平移画面
+    .filter(
+      (event) =>
+        (!event.ctrlKey || event.type === "wheel") &&
+        !event.button &&
+        !(
+          scene.canvasRenderer &&
+          event.type !== "wheel" &&
+          scene.canvasRenderer.find(...d3.pointer(event, svgElement))
+        )
+    )
+    .on("zoom", (event) => {
+      container.attr("transform", event.transform);
+      if (scene.canvasRenderer)
+        scene.canvasRenderer.setTransform(event.transform);
+      onZoom(event.transform.k); // 更新缩放级别状态
+    });
+
+  // 应用缩放行为到SVG，重新创建场景时保持当前的缩放状态
+  svg.call(scene.zoom);
+  container.attr("transform", d3.zoomTransform(svgElement));
+
+  return scene;
+};
+
+// 按 scene.style 更新 SVG 中节点和连线的属性（颜色、大小、标签和选中状态）
+const styleNetworkElements = ({ style, link, node, gradients }) => {
+  if (!style) return;
+  // 密度图中只显示标签
+  const hidden = style.densityView !== "none" ? "none" : null;
+
+  link
+    .attr("display", hidden)
+    .attr("stroke", style.linkColor)
+    .attr("stroke-opacity", 0.4)
+    .attr("stroke-width", style.linkWidth);
+
+  // 每个节点的径向渐变，高光在左上方
+  gradients
+    .selectAll("radialGradient")
+    .data(node.data(), (d) => d.id)
+    .join((enter) =>
+      enter
+        .append("radialGradient")
+        .attr("cx", "30%")
+        .attr("cy", "30%")
+        .attr("r", "70%")
+        .attr("fx", "30%")
+        .attr("fy", "30%")
+    )
+    .attr("id", gradientId)
+    .selectAll("stop")
+    .data((d) => {
+      const color = style.nodeColor(d);
+      return [d3.rgb(color).brighter(0.2), d3.rgb(color).darker(0.5)];
+    })
+    .join("stop")
+    .attr("offset", (color, i) => (i === 0 ? "0%" : "100%"))
+    .attr("stop-color", (color) => color);
+
+  node
+    .select(".node-circle")
+    .attr("display", hidden)
+    .attr("r", style.nodeRadius)
+    .attr("fill", (d) => `url(#${gradientId(d)})`)
+    .attr("stroke", (d) =>
+      d.id === style.selectedId ? style.selectedStroke : "none"
+    )
+    .attr("stroke-width", (d) => (d.id === style.selectedId ? 2 : 0));
+
+  node
+    .select(".burst-ring")
+    .attr("r", (d) => style.nodeRadius(d) + 4)
+    .attr("display", (d) => (style.burstOf(d) && !hidden ? null : "none"));
+
+  node
+    .select(".pin-marker")
+    .attr("cx", (d) => style.nodeRadius(d) * 0.7)
+    .attr("cy", (d) => -style.nodeRadius(d) * 0.7)
+    .attr("fill", style.selectedStroke)
+    .attr("display", (d) => (style.isPinned(d) && !hidden ? null : "none"));
+
+  [".label-halo", ".label"].forEach((selector) => {
+    node
+      .select(selector)
+      .attr(
+        "display",
+        style.showLabels || style.densityView !== "none" ? null : "none"
+      )
+      .attr("dx", (d) => style.nodeRadius(d) + 2)
+      .attr("font-size", style.labelSize)
+      .attr("font-weight", style.labelWeight);
+  });
+  node
+    .select(".label-halo")
+    .attr("fill", style.labelColor)
+    .attr("stroke", style.labelHalo);
+  node
+    .select(".label")
+    .attr("fill", (d) => d3.rgb(style.nodeColor(d)).darker(0.8));
+
+  node.sort((a, b) => style.labelValue(a) - style.labelValue(b));
+};
+
+// 按当前的节点位置重绘密度图层，同一帧内的多次调用只绘制一次
+const scheduleDensity = (scene) => {
+  if (scene.densityFrame !== null) return;
+  scene.densityFrame = requestAnimationFrame(() => {
+    scene.densityFrame = null;
+    if (!scene.style) return;
+    drawDensity(scene.density, scene.nodes, {
+      view: scene.style.densityView,
+      weight: (d) => d.count,
+      colorOf: scene.style.colorOf,
+    });
+  });
+};
+
+// 时间切片自动播放时每一帧的间隔（毫秒）
+const PLAYBACK_INTERVAL = 1500;
+
+// 文件解析、关键词统计和布局计算在分析线程中进行
+const analysis = createAnalysisClient();
+
+// 设置停止变化这么久（毫秒）后才重新统计关键词，连续输入时只统计最后一次
+const EXTRACT_DELAY = 300;
+
+const JOB_PHASES = {
+  parse: "读取文件",
+  extract: "统计关键词",
+};
+
+// 在分析线程中执行任务，期间通过 setProgress 显示进度条
+const startAnalysisJob = (type, payload, setProgress) => {
+  const job = analysis.start(type, payload, {
+    onProgress: (progress) => setProgress({ ...progress, jobId: job.id }),
+  });
+  setProgress({ jobId: job.id, phase: JOB_PHASES[type], done: 0, total: 0 });
+  job.promise
+    .catch(() => {})
+    .then(() =>
+      setProgress((current) =>
+        current && current.jobId === job.id ? null : current
+      )
+    );
+  return job;
+};
+
 // Nature杂志风格的配色方案
 const NATURE_COLORS = [
   "#2171b5",
@@ -41,100 +395,334 @@ const NATURE_COLORS = [
   "#d9d9d9", // 灰色系列
 ];
 
-// 社区检测算法 (基于Louvain算法的简化版)
-const detectCommunities = (nodes, links) => {
-  // 为简化，这里使用一个基于连接强度的聚类方法
-  const communities = {};
-  const nodeMap = {};
-
-  // 初始化：每个节点自成一个社区
-  nodes.forEach((node, i) => {
-    communities[node.id] = i;
-    nodeMap[node.id] = node;
-  });
-
-  // 按照连接强度合并社区
-  const sortedLinks = [...links].sort((a, b) => b.value - a.value);
-
-  sortedLinks.forEach((link) => {
-    const sourceId = link.source.id || link.source;
-    const targetId = link.target.id || link.target;
-
-    // 如果两个节点属于不同社区，考虑合并
-    if (communities[sourceId] !== communities[targetId]) {
-      // 对于较强的连接，合并社区
-      if (link.value > 2) {
-        const oldCommunity = communities[targetId];
-        const newCommunity = communities[sourceId];
-
-        // 更新所有属于旧社区的节点
-        Object.keys(communities).forEach((nodeId) => {
-          if (communities[nodeId] === oldCommunity) {
-            communities[nodeId] = newCommunity;
-          }
-        });
-      }
-    }
-  });
-
-  // 重新映射社区ID为连续数字
-  const uniqueCommunities = [...new Set(Object.values(communities))];
-  const communityMap = {};
-  uniqueCommunities.forEach((comm, i) => {
-    communityMap[comm] = i;
-  });
-
-  // 更新节点的社区ID
-  nodes.forEach((node) => {
-    node.community = communityMap[communities[node.id]];
-  });
-
-  return nodes;
-};
-
 const KeywordNetworkViz = () => {
-  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null); // 分析线程中任务的进度 { jobId, phase, done, total }
   const [error, setError] = useState(null);
+  const [papers, setPapers] = useState([]); // 统一格式的论文记录
   const [keywordData, setKeywordData] = useState([]);
-  const [networkData, setNetworkData] = useState({ nodes: [], links: [] });
+  const [networkData, setNetworkData] = useState({
+    nodes: [],
+    links: [],
+    modularity: 0,
+  });
   const [totalPapers, setTotalPapers] = useState(0);
   const [minLinkStrength, setMinLinkStrength] = useState(1);
+  const [linkWeight, setLinkWeight] = useState("raw"); // 连线权重度量，见 LINK_WEIGHT_MEASURES
+  const [counting, setCounting] = useState("full"); // 'full', 'fractional', 'binary'
+  const [resolution, setResolution] = useState(1); // Louvain分辨率参数
   const [maxKeywords, setMaxKeywords] = useState(50);
   const [usingFile, setUsingFile] = useState(false);
   const [showLabels, setShowLabels] = useState(true);
   const [visualStyle, setVisualStyle] = useState("nature"); // 'nature', 'classic', 'dark'
   const [layoutType, setLayoutType] = useState("force"); // 'force', 'radial', 'cluster'
   const [selectedNode, setSelectedNode] = useState(null);
+  const [colorMode, setColorMode] = useState("community"); // 'community', 'overlay-mean', 'overlay-median'
+  const [activeView, setActiveView] = useState("network"); // 'network', 'table', 'bursts', 'evolution', 'strategic', 'matrix'
+  const [sizeBy, setSizeBy] = useState("count"); // 节点大小依据，见 NODE_METRICS
+  const [labelPriority, setLabelPriority] = useState("count"); // 标签优先级依据
+  const [pendingImport, setPendingImport] = useState(null); // 等待列映射的原始数据
+  const [normalization, setNormalization] = useState(DEFAULT_NORMALIZATION);
+  const [thesaurus, setThesaurus] = useState(null); // { name, entries }
+  const [tokenization, setTokenization] = useState(DEFAULT_TOKENIZATION);
+  const [previewCount, setPreviewCount] = useState(0); // 0 表示不显示解析预览
+  const [timeSlice, setTimeSlice] = useState(DEFAULT_TIME_SLICE);
+  const [playing, setPlaying] = useState(false); // 时间切片是否正在自动播放
+  const [burstOptions, setBurstOptions] = useState(DEFAULT_BURST_OPTIONS);
+  const [yearTotals, setYearTotals] = useState(null); // 统计关键词所用论文的每年论文数
+  // 按强度排列的突现关键词。只依赖每年的计数，修改突现参数时不重新统计关键词
+  const bursts = useMemo(
+    () => detectBursts(keywordData, yearTotals, burstOptions),
+    [keywordData, yearTotals, burstOptions]
+  );
+  const [evolutionPeriods, setEvolutionPeriods] = useState(null); // null 表示默认均分为3个时期
+  const [evolution, setEvolution] = useState(null); // 各时期主题及其演化关系
+  const [communityFilter, setCommunityFilter] = useState(null); // 网络图中只显示的社区，null 表示全部
+  const [communityNameBy, setCommunityNameBy] = useState("count"); // 社区默认名称所依据的指标
+  const [customCommunityNames, setCustomCommunityNames] = useState([]); // [{ members, name }]
+  const [editingCommunity, setEditingCommunity] = useState(null); // { community, left, top }
+  const [importedNetworkName, setImportedNetworkName] = useState(null); // 导入的网络文件名
+  const [figureOptions, setFigureOptions] = useState(DEFAULT_FIGURE_OPTIONS); // 上次导出图片时的选项
+  const [showFigureExport, setShowFigureExport] = useState(false);
+  const [columnMapping, setColumnMapping] = useState(null); // 上次确认的列映射
+  const [layoutSeed, setLayoutSeed] = useState(null); // 布局随机种子，null 表示不固定
+  const [pinMode, setPinMode] = useState(false); // 拖放的节点是否固定在放下的位置
+  const [layoutFrozen, setLayoutFrozen] = useState(false); // 冻结布局：停止力模拟
+  const [pinnedCount, setPinnedCount] = useState(0);
+  const [layoutRevision, setLayoutRevision] = useState(0); // 递增以重新计算布局
+  const [renderer, setRenderer] = useState("auto"); // 网络图的绘制方式：auto、svg 或 canvas
+  const [densityView, setDensityView] = useState("none"); // 密度视图，见 DENSITY_VIEWS
   const fileInputRef = useRef(null);
+  const thesaurusInputRef = useRef(null);
+  const graphInputRef = useRef(null);
+  const projectInputRef = useRef(null);
   const svgRef = useRef(null);
+  const canvasRef = useRef(null);
   const tooltipRef = useRef(null);
   const simulationRef = useRef(null);
-
-  // 处理文件上传
+  const layoutRef = useRef(null); // 当前网络图的布局计算 { start(alpha), stop(), withSVGNetwork(callback) }
+  const sceneRef = useRef(null); // 网络图的 SVG 场景，首次绘制时创建，之后增量更新
+  // 打开项目后等待恢复的布局：{ papers, keywordData, networkData, layout }，
+  // 依次记下由项目数据得到的关键词数据和网络，网络绘制时使用保存的坐标
+  const projectLayoutRef = useRef(null);
+  // 关键词数据统计所用的论文记录，keywordData 中的 paperIndices 指向其中的论文
+  const analyzedPapersRef = useRef([]);
+  const pinnedRef = useRef(new Map()); // 固定的节点：关键词 → { x, y }
+  // 拖拽处理函数中读取的最新布局选项（切换时不重新绘制网络）
+  const layoutOptionsRef = useRef({ pinMode, layoutFrozen, sizeBy });
+  layoutOptionsRef.current = { pinMode, layoutFrozen, sizeBy };
+
+  // 处理文件上传（支持一次选择多个分卷文件）
   const handleFileUpload = (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+
+    setError(null);
+
+    startAnalysisJob("parse", { files }, setProgress)
+      .promise.then((imported) => {
+        if (imported.rows.length === 0 || imported.fields.length === 0) {
+          throw new Error("文件中没有可用的记录");
+        }
+
+        // 解析出字段后进入列映射步骤；上次的映射仍适用时沿用
+        setPendingImport({
+          ...imported,
+          mapping:
+            columnMapping && mappingFitsFields(columnMapping, imported.fields)
+              ? columnMapping
+              : guessColumnMapping(imported.fields),
+        });
+      })
+      .catch((err) => {
+        if (!err.cancelled) setError(`读取文件时出错: ${err.message}`);
+      })
+      .finally(() => {
+        event.target.value = "";
+      });
+  };
+
+  // 上传同义词表
+  const handleThesaurusUpload = (event) => {
     const file = event.target.files[0];
     if (!file) return;
 
-    setLoading(true);
-    setError(null);
+    readFileDecoded(file)
+      .then(({ text }) => {
+        setThesaurus({ name: file.name, entries: parseThesaurus(text) });
+        setError(null);
+      })
+      .catch((err) => {
+        setError(`读取同义词表时出错: ${err.message}`);
+      })
+      .finally(() => {
+        event.target.value = "";
+      });
+  };
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const fileData = e.target.result;
-        processCSVData(fileData);
-      } catch (err) {
-        setError(`读取文件时出错: ${err.message}`);
-        setLoading(false);
-      }
+  // 导入的坐标超出网络图的可见范围时（例如其他软件以原点为中心的布局），
+  // 缩放并平移到能完整显示所有节点
+  const fitLayoutTransform = (nodes) => {
+    const width = (svgRef.current && svgRef.current.clientWidth) || 800;
+    const height = 600;
+    const [x0, x1] = d3.extent(nodes, (node) => node.x);
+    const [y0, y1] = d3.extent(nodes, (node) => node.y);
+    if (x0 >= 0 && y0 >= 0 && x1 <= width && y1 <= height) {
+      return { x: 0, y: 0, k: 1 };
+    }
+    const padding = 40;
+    const k = Math.min(
+      8,
+      Math.max(
+        0.2,
+        Math.min(
+          (width - 2 * padding) / (x1 - x0 || 1),
+          (height - 2 * padding) / (y1 - y0 || 1)
+        )
+      )
+    );
+    return {
+      x: width / 2 - (k * (x0 + x1)) / 2,
+      y: height / 2 - (k * (y0 + y1)) / 2,
+      k,
     };
+  };
 
-    reader.onerror = () => {
-      setError("文件读取失败");
-      setLoading(false);
+  // 导入 GEXF/GraphML 网络：把节点和连线转换为关键词数据，之后与文献数据一样筛选和分析
+  const handleGraphUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    readFileDecoded(file)
+      .then(({ text }) => {
+        const { nodes, links } = parseGraphFile(text);
+        if (nodes.length === 0) throw new Error("文件中没有节点");
+
+        const connections = new Map(nodes.map((node) => [node.id, []]));
+        links.forEach((link) => {
+          connections
+            .get(link.source)
+            .push({ keyword: link.target, strength: link.value });
+          connections
+            .get(link.target)
+            .push({ keyword: link.source, strength: link.value });
+        });
+
+        // 没有论文记录，以最大出现频率近似论文总数
+        const total = d3.max(nodes, (node) => node.count);
+        const keywords = nodes
+          .map((node) => ({
+            keyword: node.id,
+            count: node.count,
+            percentage: (node.count / total) * 100,
+            years: [],
+            connections: connections
+              .get(node.id)
+              .sort((a, b) => b.strength - a.strength),
+          }))
+          .sort((a, b) => b.count - a.count);
+
+        // 导入的共现次数直接作为连线权重
+        setLinkWeight("raw");
+        setMinLinkStrength(getThresholds("raw", counting)[0].value);
+
+        // 所有节点都带有坐标时，与打开的项目一样按坐标绘制，不再重新布局
+        const positioned = nodes.every(
+          (node) => Number.isFinite(node.x) && Number.isFinite(node.y)
+        );
+        projectLayoutRef.current = positioned
+          ? {
+              keywordData: keywords,
+              layout: {
+                transform: fitLayoutTransform(nodes),
+                positions: new Map(
+                  nodes.map((node) => [node.id, { x: node.x, y: node.y }])
+                ),
+              },
+            }
+          : null;
+
+        setPapers([]);
+        setYearTotals(null);
+        setPlaying(false);
+        setTotalPapers(total);
+        setKeywordData(keywords);
+        setImportedNetworkName(file.name);
+        setUsingFile(true);
+        setError(null);
+      })
+      .catch((err) => {
+        setError(`读取网络文件时出错: ${err.message}`);
+      })
+      .finally(() => {
+        event.target.value = "";
+      });
+  };
+
+  // 项目文件中保存的设置及其对应的状态
+  const projectSettings = {
+    columnMapping: [columnMapping, setColumnMapping],
+    tokenization: [tokenization, setTokenization],
+    normalization: [normalization, setNormalization],
+    thesaurus: [thesaurus, setThesaurus],
+    counting: [counting, setCounting],
+    linkWeight: [linkWeight, setLinkWeight],
+    minLinkStrength: [minLinkStrength, setMinLinkStrength],
+    maxKeywords: [maxKeywords, setMaxKeywords],
+    resolution: [resolution, setResolution],
+    timeSlice: [timeSlice, setTimeSlice],
+    burstOptions: [burstOptions, setBurstOptions],
+    evolutionPeriods: [evolutionPeriods, setEvolutionPeriods],
+    sizeBy: [sizeBy, setSizeBy],
+    labelPriority: [labelPriority, setLabelPriority],
+    showLabels: [showLabels, setShowLabels],
+    colorMode: [colorMode, setColorMode],
+    communityNameBy: [communityNameBy, setCommunityNameBy],
+    customCommunityNames: [customCommunityNames, setCustomCommunityNames],
+    visualStyle: [visualStyle, setVisualStyle],
+    layoutType: [layoutType, setLayoutType],
+    layoutSeed: [layoutSeed, setLayoutSeed],
+    densityView: [densityView, setDensityView],
+  };
+
+  // 保存项目：数据、处理设置、当前节点坐标和缩放状态
+  const saveProject = () => {
+    const settings = {};
+    PROJECT_SETTINGS.forEach((key) => {
+      settings[key] = projectSettings[key][0];
+    });
+    const source = {
+      papers,
+      usingFile,
+      importedNetwork: importedNetworkName
+        ? { name: importedNetworkName, keywords: keywordData, totalPapers }
+        : null,
     };
+    const transform = svgRef.current
+      ? d3.zoomTransform(svgRef.current)
+      : d3.zoomIdentity;
+    downloadFile(
+      serializeProject(source, settings, {
+        nodes: networkData.nodes,
+        transform,
+        pinned: new Set(pinnedRef.current.keys()),
+      }),
+      `keyword_network${PROJECT_EXTENSION}`,
+      "application/json"
+    );
+  };
+
+  // 打开项目：恢复设置和数据，网络重新构建后按保存的坐标绘制
+  const handleProjectUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-    reader.readAsText(file);
+    readFileDecoded(file)
+      .then(({ text }) => {
+        const { source, settings, layout } = parseProject(text);
+        PROJECT_SETTINGS.forEach((key) => {
+          if (settings[key] !== undefined)
+            projectSettings[key][1](settings[key]);
+        });
+        // 早期版本保存的项目可能把二值计数与标准化度量搭配
+        if (
+          settings.linkWeight &&
+          !isMeasureAvailable(settings.linkWeight, settings.counting)
+        ) {
+          setLinkWeight("raw");
+          setMinLinkStrength(getThresholds("raw", settings.counting)[0].value);
+        }
+
+        setPlaying(false);
+        setSelectedNode(null);
+        setActiveView("network");
+        setUsingFile(Boolean(source.usingFile));
+        if (source.importedNetwork) {
+          const { name, keywords, totalPapers } = source.importedNetwork;
+          projectLayoutRef.current = { keywordData: keywords, layout };
+          setPapers([]);
+          setYearTotals(null);
+          setTotalPapers(totalPapers);
+          setKeywordData(keywords);
+          setImportedNetworkName(name);
+        } else {
+          projectLayoutRef.current = { papers: source.papers, layout };
+          setPapers(source.papers);
+          setImportedNetworkName(null);
+        }
+        pinnedRef.current = new Map(
+          [...layout.positions.values()]
+            .filter((position) => position.pinned)
+            .map((position) => [position.id, position])
+        );
+        setPinnedCount(pinnedRef.current.size);
+        setError(null);
+      })
+      .catch((err) => {
+        setError(`打开项目时出错: ${err.message}`);
+      })
+      .finally(() => {
+        event.target.value = "";
+      });
   };
 
   // 初始加载示例数据
@@ -144,145 +732,179 @@ const KeywordNetworkViz = () => {
 
   // 处理示例数据
   const processSampleData = () => {
-    setTotalPapers(SAMPLE_DATA.length);
-    const keywords = extractKeywords(SAMPLE_DATA);
-    const { nodes, links } = buildNetworkData(
-      keywords,
-      maxKeywords,
-      minLinkStrength
-    );
-    setNetworkData({ nodes, links });
-    setKeywordData(keywords);
+    processPapers(SAMPLE_DATA);
   };
 
-  // 处理CSV数据
-  const processCSVData = (fileData) => {
-    Papa.parse(fileData, {
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        const papers = results.data;
-        setTotalPapers(papers.length);
-        const keywords = extractKeywords(papers);
-        const { nodes, links } = buildNetworkData(
-          keywords,
-          maxKeywords,
-          minLinkStrength
-        );
-        setNetworkData({ nodes, links });
-        setKeywordData(keywords);
-        setUsingFile(true);
-        setLoading(false);
-      },
-      error: (error) => {
-        setError(`解析CSV时出错: ${error.message}`);
-        setLoading(false);
-      },
-    });
+  // 分析统一格式的论文记录并生成网络
+  const processPapers = (papers) => {
+    setPapers(papers);
+    setImportedNetworkName(null);
+    setPlaying(false);
+    setTimeSlice((current) => ({ ...current, year: null }));
+    setEvolutionPeriods(null);
   };
 
-  // 提取关键词和共现关系
-  const extractKeywords = (papers) => {
-    // 计算每个关键词的频率
-    let keywordFreq = {};
-    // 计算关键词对之间的共现频率
-    let cooccurrenceMatrix = {};
-
-    papers.forEach((paper) => {
-      if (!paper.Keywords) return;
-
-      let keywords = [];
-      // 尝试多种可能的分隔符
-      const separators = [";", ",", "，", "、"];
-      let foundSeparator = false;
-
-      for (const sep of separators) {
-        if (paper.Keywords.includes(sep)) {
-          keywords = paper.Keywords.split(sep)
-            .map((k) => k.trim())
-            .filter((k) => k.length > 0);
-          foundSeparator = true;
-          break;
-        }
-      }
-
-      // 如果没有找到分隔符，则整个字符串视为一个关键词
-      if (!foundSeparator && paper.Keywords.trim().length > 0) {
-        keywords = [paper.Keywords.trim()];
-      }
+  // 论文记录、时间切片或切分、规范化设置变化时，在分析线程中重新统计关键词
+  useEffect(() => {
+    if (papers.length === 0) return;
+
+    const yearRange = getYearRange(papers);
+    const periodPapers =
+      timeSlice.enabled && yearRange
+        ? slicePapers(papers, getSlicePeriod(yearRange, timeSlice))
+        : papers;
+    let job = null;
+    const start = () => {
+      job = startAnalysisJob(
+        "extract",
+        {
+          papers: periodPapers,
+          options: {
+            tokenization,
+            normalization,
+            thesaurusEntries: thesaurus && thesaurus.entries,
+            counting,
+          },
+        },
+        setProgress
+      );
+      job.promise
+        .then(({ keywords, yearTotals }) => {
+          setTotalPapers(periodPapers.length);
+          setYearTotals(yearTotals);
+          analyzedPapersRef.current = periodPapers;
+          setKeywordData(keywords);
+          if (
+            projectLayoutRef.current &&
+            projectLayoutRef.current.papers === papers
+          ) {
+            projectLayoutRef.current.keywordData = keywords;
+          }
+        })
+        .catch((err) => {
+          if (!err.cancelled) setError(`统计关键词时出错: ${err.message}`);
+        });
+    };
+    const timer = setTimeout(start, EXTRACT_DELAY);
 
-      // 更新关键词频率
-      keywords.forEach((keyword) => {
-        keywordFreq[keyword] = (keywordFreq[keyword] || 0) + 1;
-      });
+    // 设置再次变化时放弃尚未开始或尚未完成的统计
+    return () => {
+      clearTimeout(timer);
+      if (job) job.cancel();
+    };
+  }, [papers, tokenization, normalization, thesaurus, counting, timeSlice]);
+
+  // 时间切片的年份范围和当前切片区间
+  const yearRange = getYearRange(papers);
+  const slicePeriod =
+    timeSlice.enabled && yearRange
+      ? getSlicePeriod(yearRange, timeSlice)
+      : null;
+  const periodLabel = slicePeriod ? formatPeriod(slicePeriod) : null;
+  const sliceEnd = slicePeriod ? slicePeriod[1] : null;
+  const firstYear = yearRange ? yearRange[0] : null;
+  const lastYear = yearRange ? yearRange[1] : null;
+  const periods =
+    evolutionPeriods || (yearRange ? defaultPeriods(yearRange, 3) : []);
+
+  // 自动播放：逐年推进切片，到达最新年份后停止
+  useEffect(() => {
+    if (!playing || sliceEnd === null) return;
+    if (sliceEnd >= lastYear) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => {
+      setTimeSlice((current) => ({ ...current, year: sliceEnd + 1 }));
+    }, PLAYBACK_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [playing, sliceEnd, lastYear]);
+
+  const changeTimeSlice = (options) => {
+    setTimeSlice(options);
+    if (!options.enabled) setPlaying(false);
+  };
 
-      // 更新共现矩阵
-      for (let i = 0; i < keywords.length; i++) {
-        for (let j = i + 1; j < keywords.length; j++) {
-          const pair = [keywords[i], keywords[j]].sort().join("|||");
-          cooccurrenceMatrix[pair] = (cooccurrenceMatrix[pair] || 0) + 1;
-        }
-      }
-    });
+  // 播放到最后一年后再次播放时从最早年份开始
+  const togglePlayback = () => {
+    if (!playing && sliceEnd === lastYear) {
+      setTimeSlice({ ...timeSlice, year: yearRange[0] });
+    }
+    setPlaying(!playing);
+  };
 
-    // 将关键词数据转换为数组格式
-    const keywordArray = Object.entries(keywordFreq).map(
-      ([keyword, count]) => ({
-        keyword,
-        count,
-        percentage: (count / papers.length) * 100,
-      })
+  // 前N条记录的关键词解析预览
+  const getPreviewRows = () => {
+    const thesaurusMap = buildThesaurusMap(
+      thesaurus && thesaurus.entries,
+      normalization
     );
+    return papers.slice(0, previewCount).map((paper) => ({
+      raw: paper.Keywords || "",
+      keywords: cleanKeywords(
+        tokenizeKeywords(paper.Keywords, tokenization),
+        normalization,
+        thesaurusMap
+      ),
+    }));
+  };
 
-    // 按计数排序
-    const sortedKeywords = keywordArray.sort((a, b) => b.count - a.count);
-
-    // 计算并添加每个关键词的连接信息
-    sortedKeywords.forEach((item) => {
-      item.connections = [];
-
-      Object.entries(cooccurrenceMatrix).forEach(([pair, strength]) => {
-        const [kw1, kw2] = pair.split("|||");
-        if (kw1 === item.keyword || kw2 === item.keyword) {
-          const otherKeyword = kw1 === item.keyword ? kw2 : kw1;
-          item.connections.push({
-            keyword: otherKeyword,
-            strength: strength,
-          });
-        }
-      });
-
-      // 按连接强度排序
-      item.connections.sort((a, b) => b.strength - a.strength);
-    });
+  // 确认列映射后生成网络
+  const confirmColumnMapping = (mapping) => {
+    const papers = applyColumnMapping(pendingImport.rows, mapping);
+    setPendingImport(null);
+    setColumnMapping(mapping);
+    processPapers(papers);
+    setUsingFile(true);
+  };
 
-    return sortedKeywords;
+  // 取消列映射，保留当前显示的数据
+  const cancelColumnMapping = () => {
+    setPendingImport(null);
+    if (fileInputRef.current) fileInputRef.current.value = "";
   };
 
   // 构建网络图数据
-  const buildNetworkData = (keywordData, maxNodes, minStrength) => {
+  const buildNetworkData = (keywordData, options) => {
+    const { maxNodes, minStrength, resolution, linkWeight, totalPapers } =
+      options;
+
     // 选择最常见的N个关键词
     const topKeywords = keywordData.slice(0, maxNodes);
     const topKeywordSet = new Set(topKeywords.map((k) => k.keyword));
+    const keywordCount = new Map(keywordData.map((k) => [k.keyword, k.count]));
 
-    // 创建节点
+    // 创建节点，连接按所选度量计算权重
     const nodes = topKeywords.map((item) => ({
       id: item.keyword,
       count: item.count,
-      connections: item.connections,
+      meanYear: item.meanYear,
+      medianYear: item.medianYear,
+      connections: item.connections
+        .map((conn) => ({
+          ...conn,
+          weight: computeLinkWeight(
+            linkWeight,
+            conn.strength,
+            item.count,
+            keywordCount.get(conn.keyword),
+            totalPapers
+          ),
+        }))
+        .sort((a, b) => b.weight - a.weight),
     }));
 
     // 创建边
     let links = [];
-    topKeywords.forEach((source) => {
+    nodes.forEach((source) => {
       source.connections.forEach((conn) => {
-        // 只保留在顶部关键词列表中的连接，并且强度大于等于最小阈值
-        if (topKeywordSet.has(conn.keyword) && conn.strength >= minStrength) {
+        // 只保留在顶部关键词列表中的连接，并且权重大于等于最小阈值
+        if (topKeywordSet.has(conn.keyword) && conn.weight >= minStrength) {
           links.push({
-            source: source.keyword,
+            source: source.id,
             target: conn.keyword,
-            value: conn.strength,
+            value: conn.weight,
+            cooccurrence: conn.strength,
           });
         }
       });
@@ -297,126 +919,229 @@ const KeywordNetworkViz = () => {
     );
 
     // 检测社区
-    const nodesWithCommunities = detectCommunities(nodes, links);
+    const nodesWithCommunities = detectCommunities(nodes, links, resolution);
+    const modularity = computeModularity(
+      nodesWithCommunities,
+      links,
+      resolution
+    );
 
-    return { nodes: nodesWithCommunities, links };
+    return { nodes: nodesWithCommunities, links, modularity };
   };
 
-  // 当筛选条件更改时，重新构建网络数据
+  // 当筛选条件更改时，重新构建网络数据（切片内没有关键词时显示空图）
   useEffect(() => {
     if (keywordData.length > 0) {
-      const { nodes, links } = buildNetworkData(
-        keywordData,
-        maxKeywords,
-        minLinkStrength
+      const network = buildNetworkData(keywordData, {
+        maxNodes: maxKeywords,
+        minStrength: minLinkStrength,
+        resolution,
+        linkWeight,
+        totalPapers,
+      });
+      if (
+        projectLayoutRef.current &&
+        projectLayoutRef.current.keywordData === keywordData
+      ) {
+        projectLayoutRef.current.networkData = network;
+      }
+      setNetworkData(network);
+    } else {
+      setNetworkData({ nodes: [], links: [], modularity: 0 });
+    }
+    // 重新检测后社区编号可能改变
+    setCommunityFilter(null);
+  }, [
+    maxKeywords,
+    minLinkStrength,
+    resolution,
+    linkWeight,
+    totalPapers,
+    keywordData,
+  ]);
+
+  // 主题演化：每个时期单独构建网络并检测社区，再按共享关键词连接相邻时期的主题。
+  // 各时期的关键词在分析线程中统计；桑基图只用到社区，不计算中心性
+  useEffect(() => {
+    if (activeView !== "evolution" || firstYear === null) return;
+
+    const periods =
+      evolutionPeriods || defaultPeriods([firstYear, lastYear], 3);
+    const jobs = periods.map((period) => {
+      const periodPapers = slicePapers(papers, period);
+      const job = startAnalysisJob(
+        "extract",
+        {
+          papers: periodPapers,
+          options: {
+            tokenization,
+            normalization,
+            thesaurusEntries: thesaurus && thesaurus.entries,
+            counting,
+          },
+        },
+        setProgress
+      );
+      return {
+        cancel: job.cancel,
+        promise: job.promise.then(({ keywords }) => {
+          const nodes =
+            keywords.length > 0
+              ? buildNetworkData(keywords, {
+                  maxNodes: maxKeywords,
+                  minStrength: minLinkStrength,
+                  resolution,
+                  linkWeight,
+                  totalPapers: periodPapers.length,
+                }).nodes
+              : [];
+          return { period, nodes };
+        }),
+      };
+    });
+    Promise.all(jobs.map((job) => job.promise))
+      .then((periodNetworks) =>
+        setEvolution(buildThemeEvolution(periodNetworks))
+      )
+      .catch((err) => {
+        if (!err.cancelled) setError(`分析主题演化时出错: ${err.message}`);
+      });
+
+    // 时期或设置再次变化时放弃尚未完成的统计
+    return () => jobs.forEach((job) => job.cancel());
+  }, [
+    activeView,
+    evolutionPeriods,
+    firstYear,
+    lastYear,
+    papers,
+    tokenization,
+    normalization,
+    thesaurus,
+    counting,
+    maxKeywords,
+    minLinkStrength,
+    resolution,
+    linkWeight,
+  ]);
+
+  // 按选项导出当前网络图（SVG/PNG/TIFF/PDF）
+  const exportNetworkFigure = (options, customFont = null) => {
+    if (!svgRef.current) return Promise.resolve();
+    const run = () =>
+      exportFigure(svgRef.current, options, {
+        filename: "keyword_network",
+        title: "关键词网络图",
+        description: `基于${totalPapers}篇论文的关键词网络分析`,
+        backgroundColor: visualStyle === "dark" ? "#202025" : "#ffffff",
+        customFont,
+      });
+    // 画布模式下导出时临时生成完整的 SVG 节点
+    return layoutRef.current ? layoutRef.current.withSVGNetwork(run) : run();
+  };
+
+  // 按选项导出 PDF 时是否会嵌入位图，供导出对话框提示。只读取 ref，
+  // 保持引用不变，对话框可以缓存检查结果
+  const figureRasterizesPDF = useCallback((options, customFont) => {
+    const check = () => pdfRasterized(svgRef.current, options, customFont);
+    return layoutRef.current
+      ? layoutRef.current.withSVGNetwork(check)
+      : check();
+  }, []);
+
+  // 下载SVG图表（屏幕尺寸）
+  const downloadSVG = () =>
+    exportNetworkFigure({
+      ...DEFAULT_FIGURE_OPTIONS,
+      format: "svg",
+      widthMm: null,
+    });
+
+  // 在导出对话框中确认后导出，并记住本次的选项
+  const confirmFigureExport = (options, customFont) =>
+    exportNetworkFigure(options, customFont).then(() => {
+      setFigureOptions(options);
+      setShowFigureExport(false);
+    });
+
+  // 导出当前网络数据，供 Gephi、Cytoscape、Pajek、VOSviewer 等软件进一步处理
+  const exportNetwork = (format) => {
+    // GEXF 和 GraphML 的节点属性包括各项中心性指标
+    ensureCentralities(networkData.nodes, networkData.links);
+    if (format === "gexf") {
+      downloadFile(
+        toGEXF(networkData, communityNames),
+        "keyword_network.gexf",
+        "application/xml"
+      );
+    } else if (format === "graphml") {
+      downloadFile(
+        toGraphML(networkData, communityNames),
+        "keyword_network.graphml",
+        "application/xml"
       );
-      setNetworkData({ nodes, links });
+    } else if (format === "pajek") {
+      downloadFile(toPajek(networkData), "keyword_network.net", "text/plain");
+    } else if (format === "vosviewer") {
+      const { map, network } = toVOSviewer(networkData);
+      downloadFile(map, "keyword_map.txt", "text/plain");
+      downloadFile(network, "keyword_network.txt", "text/plain");
     }
-  }, [maxKeywords, minLinkStrength, keywordData]);
-
-  // 下载SVG图表
-  const downloadSVG = () => {
-    const svgElement = svgRef.current;
-    if (!svgElement) return;
-
-    // 创建一个克隆，以便我们可以修改它而不影响显示
-    const svgClone = svgElement.cloneNode(true);
-
-    // 设置白色背景，以便在下载后更好地查看
-    const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-    rect.setAttribute("width", "100%");
-    rect.setAttribute("height", "100%");
-    rect.setAttribute("fill", "white");
-    svgClone.insertBefore(rect, svgClone.firstChild);
-
-    // 添加样式
-    const style = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "style"
-    );
-    style.textContent = `
-      .link { stroke-opacity: 0.6; }
-      .node text { font-family: Arial, sans-serif; }
-      .node circle { stroke-width: 1.5px; }
-    `;
-    svgClone.appendChild(style);
-
-    // 添加标题和描述
-    const title = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "title"
+  };
+
+  // 下载PNG图表（屏幕尺寸的2倍分辨率）
+  const downloadPNG = () =>
+    exportNetworkFigure({
+      ...DEFAULT_FIGURE_OPTIONS,
+      format: "png",
+      widthMm: null,
+      dpi: 192,
+    });
+
+  // 是否有可用于时间分析的年份信息
+  const hasYears = keywordData.some((item) => item.years.length > 0);
+
+  // 节点大小、标签优先级或社区命名用到中心性指标时才计算（每个网络只算一次）
+  if (needsCentrality(sizeBy, labelPriority, communityNameBy)) {
+    ensureCentralities(networkData.nodes, networkData.links);
+  }
+
+  // 社区编号 → 名称（默认名称或手动修改的名称）
+  const communityNames = resolveCommunityNames(
+    networkData.nodes,
+    customCommunityNames,
+    communityNameBy
+  );
+
+  // 提交图例中正在编辑的社区名称
+  const commitCommunityName = (name) => {
+    const { community } = editingCommunity;
+    setEditingCommunity(null);
+    if (name.trim() === communityNames.get(community)) return;
+    setCustomCommunityNames(
+      renameCommunity(customCommunityNames, networkData.nodes, community, name)
     );
-    title.textContent = "关键词网络图";
-    svgClone.appendChild(title);
-
-    const desc = document.createElementNS("http://www.w3.org/2000/svg", "desc");
-    desc.textContent = `基于${totalPapers}篇论文的关键词网络分析`;
-    svgClone.appendChild(desc);
-
-    // 转换为字符串
-    const serializer = new XMLSerializer();
-    let svgString = serializer.serializeToString(svgClone);
-
-    // 添加XML声明和命名空间
-    svgString = '<?xml version="1.0" standalone="no"?>\n' + svgString;
-
-    // 创建下载链接
-    const blob = new Blob([svgString], { type: "image/svg+xml" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "keyword_network.svg";
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
   };
 
-  // 下载PNG图表
-  const downloadPNG = () => {
-    const svgElement = svgRef.current;
-    if (!svgElement) return;
-
-    // 获取SVG尺寸
-    const bbox = svgElement.getBBox();
-    const width = svgElement.width.baseVal.value || bbox.width;
-    const height = svgElement.height.baseVal.value || bbox.height;
-
-    // 创建Canvas元素
-    const canvas = document.createElement("canvas");
-    canvas.width = width * 2; // 提高分辨率
-    canvas.height = height * 2;
-    const ctx = canvas.getContext("2d");
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.fillStyle = "white";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    ctx.scale(2, 2); // 提高分辨率
-
-    // 转换SVG为图像并绘制到Canvas
-    const svgString = new XMLSerializer().serializeToString(svgElement);
-    const img = new Image();
-
-    // 转换SVG到Data URL
-    const svgBlob = new Blob([svgString], {
-      type: "image/svg+xml;charset=utf-8",
+  // 同时包含两个关键词的论文，由统计关键词时记下的论文下标求交集得到
+  // （导入的网络没有论文记录，返回空数组）
+  const findSharedPapers = (source, target) => {
+    const [first, second] = [source, target].map((keyword) => {
+      const item = keywordData.find((k) => k.keyword === keyword);
+      return (item && item.paperIndices) || [];
     });
-    const url = URL.createObjectURL(svgBlob);
-
-    img.onload = function () {
-      ctx.drawImage(img, 0, 0);
-      URL.revokeObjectURL(url);
-
-      // 转换Canvas为PNG并下载
-      const pngUrl = canvas.toDataURL("image/png");
-      const a = document.createElement("a");
-      a.href = pngUrl;
-      a.download = "keyword_network.png";
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-    };
+    const shared = new Set(second);
+    return first
+      .filter((index) => shared.has(index))
+      .map((index) => analyzedPapersRef.current[index]);
+  };
 
-    img.src = url;
+  // 在关键词表中点击某行：选中对应节点，若其在网络图中则切换到网络图
+  const selectKeywordFromTable = (keyword) => {
+    setSelectedNode(keyword);
+    if (networkData.nodes.some((node) => node.id === keyword)) {
+      setActiveView("network");
+    }
   };
 
   // 缩放状态
@@ -460,76 +1185,617 @@ const KeywordNetworkViz = () => {
   };
 
   // 渲染网络图
+  // 节点较多时用画布绘制网络图（密度图只绘制标签，总是使用 SVG）
+  const canvasMode =
+    densityView === "none" && prefersCanvas(renderer, networkData.nodes.length);
+
+  // 网络图的节点和连线：数据或布局设置变化时按关键词 join 元素并重新计算布局，
+  // 已有的节点保留原来的位置，新增的节点淡入、消失的节点淡出。SVG 的分层结构
+  // 和缩放状态在首次绘制时创建，之后一直保留；颜色、大小和标签等样式由下一个
+  // effect 单独更新，不会触发重新布局
   useEffect(() => {
-    if (!svgRef.current || networkData.nodes.length === 0) return;
+    if (!svgRef.current) return;
+
+    // 没有数据时清除现有的图表
+    if (networkData.nodes.length === 0) {
+      if (sceneRef.current && sceneRef.current.canvasRenderer) {
+        sceneRef.current.canvasRenderer.destroy();
+      }
+      d3.select(svgRef.current).selectAll("*").remove();
+      sceneRef.current = null;
+      return;
+    }
 
-    // 清除现有的图表
-    d3.select(svgRef.current).selectAll("*").remove();
+    if (!sceneRef.current) {
+      sceneRef.current = createNetworkScene(svgRef.current, setZoomLevel);
+    }
+    const scene = sceneRef.current;
+    const { svg, zoom } = scene;
+    zoomRef.current = zoom;
+
+    // 在战略坐标图中选中某个社区时，只显示该社区的关键词及其内部连线
+    const nodes =
+      communityFilter === null
+        ? networkData.nodes
+        : networkData.nodes.filter((d) => d.community === communityFilter);
+    const nodeIds = new Set(nodes.map((d) => d.id));
+    const links =
+      communityFilter === null
+        ? networkData.links
+        : networkData.links.filter(
+            (l) =>
+              nodeIds.has(l.source.id || l.source) &&
+              nodeIds.has(l.target.id || l.target)
+          );
 
     const width = svgRef.current.clientWidth || 800;
     const height = 600;
 
-    // 创建主SVG容器
-    const svg = d3
-      .select(svgRef.current)
+    svg
       .attr("width", width)
       .attr("height", height)
       .attr("viewBox", [0, 0, width, height]);
-
-    // 创建一个包含所有可缩放内容的组
-    const container = svg.append("g").attr("class", "zoom-container");
-
-    // 添加底层图案 - Nature风格的微妙网格
-    svg
-      .append("defs")
-      .append("pattern")
-      .attr("id", "grid")
-      .attr("width", 20)
-      .attr("height", 20)
-      .attr("patternUnits", "userSpaceOnUse")
-      .append("path")
-      .attr("d", "M 20 0 L 0 0 0 20")
-      .attr("fill", "none")
-      .attr("stroke", "#f0f0f0")
-      .attr("stroke-width", 0.5);
-
-    // 背景矩形
-    container
-      .append("rect")
+    // 背景矩形在画布模式下会遮住下方的画布，隐藏
+    scene.background
       .attr("width", width)
       .attr("height", height)
-      .attr("fill", visualStyle === "dark" ? "#202025" : "#ffffff")
-      .attr("fill", "url(#grid)");
+      .attr("display", canvasMode ? "none" : null);
+    scene.watermark.attr("x", width - 200).attr("y", height - 30);
+    scene.periodText.attr("y", height - 30);
+
+    // 创建布局。布局在分析线程中计算，主线程中的模拟只在拖拽节点时运行
+    const nodeRadius = nodeRadiusScale(nodes, layoutOptionsRef.current.sizeBy);
+    const simulation = createLayoutSimulation(nodes, links, {
+      layoutType,
+      width,
+      height,
+      radius: nodeRadius,
+    });
 
-    // 添加背景水印
-    container
-      .append("text")
-      .attr("x", width - 200)
-      .attr("y", height - 30)
-      .attr("text-anchor", "end")
-      .attr("font-family", "'Arial', sans-serif")
-      .attr("font-size", "12px")
-      .attr("fill", visualStyle === "dark" ? "#454550" : "#e5e5e5")
-      .text(`关键词网络分析 · ${new Date().getFullYear()}`);
-
-    // 定义缩放行为
-    const zoom = d3
-      .zoom()
-      .scaleExtent([0.2, 8]) // 设置缩放范围
-      .on("zoom", (event) => {
-        container.attr("transform", event.transform);
-        setZoomLevel(event.transform.k); // 更新缩放级别状态
+    // 指定布局种子时，初始位置和力模拟中的随机扰动都由种子决定
+    const seeded = layoutSeed !== null;
+    const random = seeded ? d3.randomLcg(layoutSeed) : Math.random;
+
+    // 沿用上一次绘制中已有节点的位置，只做小幅调整，避免整体重新布局。指定种子时
+    // 只在时间切片中沿用，其余情况按种子重新布局，保证结果可以复现
+    const previousPositions = new Map(scene.nodes.map((d) => [d.id, d]));
+    const reusePositions =
+      previousPositions.size > 0 && (!seeded || periodLabel !== null);
+    const layoutKey = `${layoutType}|${layoutSeed}|${layoutRevision}`;
+    let startAlpha = 1;
+    if (reusePositions) {
+      nodes.forEach((d) => {
+        const position = previousPositions.get(d.id);
+        if (position) {
+          d.x = position.x;
+          d.y = position.y;
+        } else {
+          // 新出现的关键词放在已有的相连关键词附近，没有则放在中央
+          const anchors = d.connections
+            .map((c) => previousPositions.get(c.keyword))
+            .filter(Boolean);
+          const center =
+            anchors.length > 0
+              ? [d3.mean(anchors, (p) => p.x), d3.mean(anchors, (p) => p.y)]
+              : [width / 2, height / 2];
+          d.x = center[0] + random() * 20 - 10;
+          d.y = center[1] + random() * 20 - 10;
+        }
+      });
+      // 布局方式改变或要求重新布局时，从当前位置开始完整地计算
+      startAlpha = layoutKey === scene.layoutKey ? 0.3 : 1;
+    } else if (seeded) {
+      // 指定种子时从由种子决定的初始位置开始，相同的数据和设置总是得到相同的布局
+      nodes.forEach((d) => {
+        d.x = width / 2 + (random() - 0.5) * width * 0.5;
+        d.y = height / 2 + (random() - 0.5) * height * 0.5;
+        d.vx = 0;
+        d.vy = 0;
+      });
+    }
+    scene.layoutKey = layoutKey;
+
+    // 打开的项目：按保存的坐标和缩放状态绘制，不再重新布局
+    const projectLayout = projectLayoutRef.current;
+    const restoreLayout =
+      projectLayout !== null && projectLayout.networkData === networkData;
+    if (restoreLayout) {
+      projectLayoutRef.current = null;
+      nodes.forEach((d) => {
+        const position = projectLayout.layout.positions.get(d.id);
+        if (position) {
+          d.x = position.x;
+          d.y = position.y;
+        }
       });
+      const { x, y, k } = projectLayout.layout.transform;
+      svg.call(zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    }
 
-    // 应用缩放行为到SVG
-    svg.call(zoom);
+    // 固定的节点保持在拖放的位置
+    nodes.forEach((d) => {
+      const pin = pinnedRef.current.get(d.id);
+      d.fx = pin ? pin.x : null;
+      d.fy = pin ? pin.y : null;
+      if (pin) {
+        d.x = pin.x;
+        d.y = pin.y;
+      }
+    });
 
-    // 存储缩放引用以便外部访问
-    zoomRef.current = zoom;
+    // 打开的项目和冻结的布局直接使用现有坐标，否则在分析线程中计算布局
+    const staticLayout =
+      restoreLayout ||
+      (layoutOptionsRef.current.layoutFrozen &&
+        nodes.every((d) => Number.isFinite(d.x) && Number.isFinite(d.y)));
+    simulation.alpha(0);
+
+    // 存储模拟引用以便稍后访问
+    simulationRef.current = simulation;
+    scene.nodes = nodes;
+    scene.links = links;
+
+    const tooltip = d3.select(tooltipRef.current);
+
+    // 工具提示：显示节点的统计信息和最强的关联关键词
+    const showTooltip = (event, d) => {
+      const { style } = scene;
+      tooltip
+        .style("visibility", "visible")
+        .style("opacity", 0)
+        .transition()
+        .duration(200)
+        .style("opacity", 1)
+        .style("left", `${event.pageX + 10}px`)
+        .style("top", `${event.pageY - 20}px`);
+
+      // 标准化权重同时附上原始共现次数
+      const formatConnectionStrength = (c) => {
+        const cooccurrence =
+          style.counting === "full"
+            ? `共现 ${c.strength} 次`
+            : `共现权重 ${formatWeight(c.strength)}`;
+        return c.weight === c.strength
+          ? formatWeight(c.weight)
+          : `${formatWeight(c.weight)} · ${cooccurrence}`;
+      };
+
+      // 获取前5个最强连接
+      const topConnections = [...d.connections]
+        .sort((a, b) => b.weight - a.weight)
+        .filter((c) => c.weight >= style.minLinkStrength)
+        .slice(0, 5);
+
+      const burst = style.burstOf(d);
+
+      // 中心性指标只在计算过后显示（见 ensureCentralities）
+      tooltip.html(`
+          <div style="font-weight:600;margin-bottom:6px;font-size:15px;border-bottom:1px solid ${
+            style.visualStyle === "dark" ? "#505060" : "#eee"
+          };padding-bottom:6px;">
+            ${d.id}
+          </div>
+          <div style="margin:4px 0;display:flex;justify-content:space-between;font-size:13px;">
+            <span>出现次数:</span> <span>${d.count}</span>
+          </div>
+          ${Object.keys(d.centrality ? NODE_METRICS : {})
+            .filter((metric) => metric !== "count")
+            .map(
+              (metric) =>
+                `<div style="margin:4px 0;display:flex;justify-content:space-between;font-size:13px;">
+            <span>${NODE_METRICS[metric]}:</span> <span>${formatMetric(
+                  d.centrality[metric]
+                )}</span>
+          </div>`
+            )
+            .join("")}
+          <div style="margin:4px 0;display:flex;justify-content:space-between;font-size:13px;">
+            <span>社区:</span> <span>${style.communityNames.get(
+              d.community
+            )}</span>
+          </div>
+          ${
+            d.meanYear === undefined
+              ? ""
+              : `<div style="margin:4px 0;display:flex;justify-content:space-between;font-size:13px;">
+            <span>平均/中位发表年份:</span> <span>${d.meanYear.toFixed(1)} / ${
+                  d.medianYear
+                }</span>
+          </div>`
+          }
+          ${
+            burst
+              ? `<div style="margin:4px 0;display:flex;justify-content:space-between;font-size:13px;color:${BURST_COLOR};">
+            <span>突现:</span> <span>${burst.begin}–${
+                  burst.end
+                } (强度 ${burst.strength.toFixed(2)})</span>
+          </div>`
+              : ""
+          }
+          <div style="margin:4px 0;display:flex;justify-content:space-between;font-size:13px;">
+            <span>共现计数:</span> <span>${
+              COUNTING_METHODS[style.counting].label
+            }</span>
+          </div>
+          <div style="margin:8px 0 4px;font-size:13px;opacity:0.8;">关联关键词:</div>
+          <div style="font-size:12px;margin-left:8px;">
+            ${topConnections
+              .map(
+                (c) =>
+                  `<div style="margin:3px 0;display:flex;justify-content:space-between;">
+                <span>${c.keyword}</span>
+                <span style="opacity:0.7;margin-left:8px;">关联强度: ${formatConnectionStrength(
+                  c
+                )}</span>
+              </div>`
+              )
+              .join("")}
+          </div>
+        `);
+    };
+
+    const moveTooltip = (event) => {
+      tooltip
+        .style("left", `${event.pageX + 10}px`)
+        .style("top", `${event.pageY - 20}px`);
+    };
+
+    const hideTooltip = () => {
+      tooltip
+        .transition()
+        .duration(200)
+        .style("opacity", 0)
+        .on("end", () => tooltip.style("visibility", "hidden"));
+    };
+
+    // 点击节点选中，再次点击取消选中
+    const toggleSelected = (d) =>
+      setSelectedNode((current) => (current === d.id ? null : d.id));
+
+    // 按关键词 join 连线和节点。fade 为 true 时新增的元素淡入，消失的元素淡出后
+    // 删除；元素的样式属性由 styleNetworkElements 设置
+    const joinNetwork = (nodeData, linkData, fade) => {
+      const fadeIn = (enter) => {
+        if (fade) {
+          enter
+            .attr("opacity", 0)
+            .transition()
+            .duration(800)
+            .attr("opacity", 1);
+        }
+      };
+      const fadeOut = (exit) =>
+        fade
+          ? exit.transition().duration(800).attr("opacity", 0).remove()
+          : exit.remove();
+
+      scene.link = scene.link
+        .data(linkData, (l) => `${l.source.id}\u0000${l.target.id}`)
+        .join(
+          (enter) => enter.append("path").attr("fill", "none").call(fadeIn),
+          (update) => update,
+          fadeOut
+        );
 
-    // 创建一个工具提示div
-    const tooltip = d3
-      .select(tooltipRef.current)
+      scene.node = scene.node
+        .data(nodeData, (d) => d.id)
+        .join(
+          (enter) => {
+            const group = enter.append("g");
+            group
+              .append("circle")
+              .attr("class", "node-circle")
+              .style("filter", "url(#glow)");
+            // 突现关键词外加虚线圆环
+            group
+              .append("circle")
+              .attr("class", "burst-ring")
+              .attr("fill", "none")
+              .attr("stroke", BURST_COLOR)
+              .attr("stroke-width", 1.5)
+              .attr("stroke-dasharray", "3,2");
+            // 固定位置的节点右上角显示小圆点
+            group.append("circle").attr("class", "pin-marker").attr("r", 3);
+            // 标签：底层的描边作为背景板，上层为实际文本
+            ["label-halo", "label"].forEach((className) => {
+              group
+                .append("text")
+                .attr("class", className)
+                .attr("dy", 4)
+                .attr("font-family", "'Arial', sans-serif")
+                .text((d) => d.id);
+            });
+            group
+              .select(".label-halo")
+              .attr("stroke-width", 4)
+              .attr("stroke-linejoin", "round")
+              .attr("paint-order", "stroke")
+              .attr("opacity", 0.9);
+            return group.call(fadeIn);
+          },
+          (update) => update,
+          fadeOut
+        )
+        .call(drag(simulation))
+        .on("click", (event, d) => toggleSelected(d))
+        .on("mouseover", function (event, d) {
+          const { style } = scene;
+
+          // 突出显示当前节点和相连的边
+          d3.select(this)
+            .select(".node-circle")
+            .transition()
+            .duration(200)
+            .attr("stroke", "#fff")
+            .attr("stroke-width", 2);
+
+          // 直接连接的节点ID
+          const isRelated = (l) => l.source.id === d.id || l.target.id === d.id;
+          const connectedNodeIds = new Set();
+          links.filter(isRelated).forEach((l) => {
+            connectedNodeIds.add(
+              l.source.id === d.id ? l.target.id : l.source.id
+            );
+          });
+
+          // 高亮连接的边
+          scene.link
+            .transition()
+            .duration(200)
+            .attr("stroke-opacity", (l) => (isRelated(l) ? 0.9 : 0.1))
+            .attr(
+              "stroke-width",
+              (l) => style.linkWidth(l) * (isRelated(l) ? 1.5 : 0.5)
+            );
+
+          // 调整其他节点的不透明度
+          scene.node
+            .transition()
+            .duration(200)
+            .attr("opacity", (n) => {
+              if (n.id === d.id) return 1;
+              return connectedNodeIds.has(n.id) ? 0.9 : 0.2;
+            });
+
+          showTooltip(event, d);
+        })
+        .on("mousemove", moveTooltip)
+        .on("mouseout", function () {
+          const { style } = scene;
+
+          // 恢复原始样式
+          d3.select(this)
+            .select(".node-circle")
+            .transition()
+            .duration(200)
+            .attr("stroke", (d) =>
+              d.id === style.selectedId ? style.selectedStroke : "none"
+            )
+            .attr("stroke-width", (d) => (d.id === style.selectedId ? 2 : 0));
+
+          // 恢复所有边和节点
+          scene.link
+            .transition()
+            .duration(200)
+            .attr("stroke-opacity", 0.4)
+            .attr("stroke-width", style.linkWidth);
+
+          scene.node.transition().duration(200).attr("opacity", 1);
+
+          hideTooltip();
+        });
+    };
+
+    // 更新节点和连线的位置
+    const ticked = () => {
+      scene.link.attr("d", linkPath);
+      scene.node.attr("transform", (d) => `translate(${d.x},${d.y})`);
+      if (scene.canvasRenderer) scene.canvasRenderer.draw();
+      scheduleDensity(scene);
+    };
+    simulation.on("tick", ticked);
+
+    if (canvasMode) {
+      // 画布模式：节点和连线绘制在 SVG 下方的画布上，SVG 中不保留节点元素
+      joinNetwork([], [], false);
+      if (!scene.canvasRenderer) {
+        scene.canvasRenderer = createCanvasRenderer(canvasRef.current);
+        if (scene.style) scene.canvasRenderer.setStyle(scene.style);
+      }
+      const canvasRenderer = scene.canvasRenderer;
+      canvasRenderer.setSize(width, height);
+      canvasRenderer.setData(nodes, links);
+      canvasRenderer.setTransform(d3.zoomTransform(svgRef.current));
+
+      // 悬停、点击和拖拽按鼠标位置查找画布上的节点
+      const nodeAtPointer = (event) =>
+        canvasRenderer.find(...d3.pointer(event, svgRef.current));
+      let hovered = null;
+      const hover = (d) => {
+        hovered = d;
+        canvasRenderer.setHighlight(d);
+        svg.style("cursor", d ? "pointer" : null);
+      };
+      svg
+        .call(
+          drag(simulation, (event) =>
+            canvasRenderer.invert(d3.pointer(event, svgRef.current))
+          ).subject((event) => nodeAtPointer(event))
+        )
+        .on("mousemove.canvas", (event) => {
+          const d = nodeAtPointer(event) || null;
+          if (d === hovered) {
+            if (d) moveTooltip(event);
+            return;
+          }
+          hover(d);
+          if (d) {
+            showTooltip(event, d);
+          } else {
+            hideTooltip();
+          }
+        })
+        .on("mouseleave.canvas", () => {
+          if (hovered) {
+            hover(null);
+            hideTooltip();
+          }
+        })
+        .on("click.canvas", (event) => {
+          const d = nodeAtPointer(event);
+          if (d) toggleSelected(d);
+        });
+    } else {
+      if (scene.canvasRenderer) {
+        scene.canvasRenderer.destroy();
+        scene.canvasRenderer = null;
+        svg.on(".drag", null).on(".canvas", null).style("cursor", null);
+      }
+      joinNetwork(nodes, links, reusePositions);
+    }
+
+    // 在分析线程中从当前位置和给定的 alpha 开始计算布局，随计算逐步更新节点位置
+    let layoutJob = null;
+    const stopLayout = () => {
+      if (layoutJob) layoutJob.cancel();
+    };
+    const startLayout = (alpha) => {
+      stopLayout();
+      simulation.stop();
+      const applyPositions = (positions) => {
+        nodes.forEach((d, i) => {
+          d.x = positions[i * 2];
+          d.y = positions[i * 2 + 1];
+          d.vx = 0;
+          d.vy = 0;
+        });
+        ticked();
+      };
+      layoutJob = analysis.start(
+        "layout",
+        {
+          nodes: nodes.map((d) => ({
+            id: d.id,
+            count: d.count,
+            community: d.community,
+            r: nodeRadius(d),
+            x: d.x,
+            y: d.y,
+            fx: d.fx,
+            fy: d.fy,
+          })),
+          links: links.map((l) => ({
+            source: l.source.id,
+            target: l.target.id,
+            value: l.value,
+          })),
+          options: { layoutType, width, height, seed: layoutSeed, alpha },
+        },
+        { onPositions: applyPositions }
+      );
+      layoutJob.promise.then(applyPositions).catch(() => {});
+    };
+
+    // 在完整的 SVG 图上执行 callback（需要同步完成），画布模式下临时生成 SVG 节点
+    const withSVGNetwork = (callback) => {
+      if (!scene.canvasRenderer) return callback();
+      joinNetwork(nodes, links, false);
+      styleNetworkElements(scene);
+      ticked();
+      try {
+        return callback();
+      } finally {
+        joinNetwork([], [], false);
+        styleNetworkElements(scene);
+      }
+    };
+    layoutRef.current = {
+      start: startLayout,
+      stop: stopLayout,
+      withSVGNetwork,
+    };
+
+    ticked();
+    if (!staticLayout) startLayout(startAlpha);
+
+    // 在第一次渲染后让图形"冷却"
+    setTimeout(() => {
+      simulation.alphaTarget(0);
+    }, 3000);
+
+    // 定义拖拽行为。position(event) 返回拖拽点在布局中的坐标
+    function drag(simulation, position = (event) => [event.x, event.y]) {
+      function dragstarted(event) {
+        stopLayout();
+        if (!event.active && !layoutOptionsRef.current.layoutFrozen) {
+          simulation.alphaTarget(0.3).restart();
+        }
+        event.subject.fx = event.subject.x;
+        event.subject.fy = event.subject.y;
+      }
+
+      function dragged(event) {
+        const [x, y] = position(event);
+        event.subject.fx = x;
+        event.subject.fy = y;
+        // 冻结布局时模拟不运行，直接移动节点
+        if (layoutOptionsRef.current.layoutFrozen) {
+          event.subject.x = x;
+          event.subject.y = y;
+          ticked();
+        }
+      }
+
+      function dragended(event) {
+        const d = event.subject;
+        if (!event.active && !layoutOptionsRef.current.layoutFrozen) {
+          simulation.alphaTarget(0);
+        }
+        // 固定模式下（或节点原本已固定）节点留在放下的位置
+        if (layoutOptionsRef.current.pinMode || pinnedRef.current.has(d.id)) {
+          pinnedRef.current.set(d.id, { x: d.fx, y: d.fy });
+        } else {
+          d.fx = null;
+          d.fy = null;
+        }
+        scene.node
+          .filter((n) => n === d)
+          .select(".pin-marker")
+          .attr("display", pinnedRef.current.has(d.id) ? null : "none");
+        if (scene.canvasRenderer) scene.canvasRenderer.draw();
+        setPinnedCount(pinnedRef.current.size);
+      }
+
+      return d3
+        .drag()
+        .on("start", dragstarted)
+        .on("drag", dragged)
+        .on("end", dragended);
+    }
+
+    return () => {
+      stopLayout();
+      simulation.stop();
+    };
+  }, [
+    networkData,
+    communityFilter,
+    layoutType,
+    layoutSeed,
+    layoutRevision,
+    canvasMode,
+    periodLabel,
+  ]);
+
+  // 网络图的样式：只更新已有元素的属性和图例，不改变节点位置。数据变化后
+  // 上一个 effect 重新 join 了元素，这里随之运行，为新元素设置样式
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+    const { svg, nodes, links, legend } = scene;
+
+    // 工具提示的外观
+    d3.select(tooltipRef.current)
       .style("position", "absolute")
       .style("visibility", "hidden")
       .style("background-color", visualStyle === "dark" ? "#303040" : "white")
@@ -549,443 +1815,124 @@ const KeywordNetworkViz = () => {
       .style("transition", "opacity 0.2s");
 
     // 计算节点大小比例
-    const countExtent = d3.extent(networkData.nodes, (d) => d.count);
-    const radiusScale = d3.scaleSqrt().domain(countExtent).range([5, 25]);
+    const nodeRadius = nodeRadiusScale(nodes, sizeBy);
+
+    // 标签字号和字重按标签优先级指标变化，优先级高的节点绘制在上层
+    const labelValue = (d) => nodeMetricValue(d, labelPriority);
+    const labelExtent = d3.extent(nodes, labelValue);
+    const labelSizeScale = d3
+      .scaleLinear()
+      .domain(labelExtent)
+      .range([10, 14])
+      .clamp(true);
+    const labelMidpoint = (labelExtent[0] + labelExtent[1]) / 2;
+
+    // 颜色比例尺 - 基于社区ID（按完整网络分配，筛选社区时颜色不变）
+    const communities = [...new Set(nodes.map((d) => d.community))];
+    const colorScale = communityColorScale(networkData.nodes);
+    const communityNames = resolveCommunityNames(
+      networkData.nodes,
+      customCommunityNames,
+      communityNameBy
+    );
 
-    // 颜色比例尺 - 基于社区ID
-    const communities = [...new Set(networkData.nodes.map((d) => d.community))];
-    const colorScale = d3
-      .scaleOrdinal()
-      .domain(communities)
-      .range(NATURE_COLORS);
+    // 叠加模式：按关键词所在论文的平均（或中位）发表年份连续着色
+    const overlay = colorMode !== "community";
+    const nodeYear = (d) =>
+      colorMode === "overlay-median" ? d.medianYear : d.meanYear;
+    const yearExtent = d3.extent(nodes, nodeYear);
+    const yearColorScale = d3
+      .scaleSequential(d3.interpolateViridis)
+      .domain(yearExtent[0] === undefined ? [0, 1] : yearExtent);
+    const nodeColor = (d) => {
+      if (!overlay) return colorScale(d.community);
+      const year = nodeYear(d);
+      return year === undefined ? "#bbbbbb" : yearColorScale(year);
+    };
 
     // 计算边宽度比例
-    const linkExtent = d3.extent(networkData.links, (d) => d.value);
+    const linkExtent = d3.extent(links, (d) => d.value);
     const linkWidthScale = d3.scaleLinear().domain(linkExtent).range([0.5, 4]);
 
-    // 定义箭头marker
-    svg
-      .append("defs")
-      .selectAll("marker")
-      .data(["arrow"])
-      .enter()
-      .append("marker")
-      .attr("id", (d) => d)
-      .attr("viewBox", "0 -5 10 10")
-      .attr("refX", 10)
-      .attr("refY", 0)
-      .attr("markerWidth", 6)
-      .attr("markerHeight", 6)
-      .attr("orient", "auto")
-      .attr("opacity", 0.5)
-      .append("path")
-      .attr("fill", visualStyle === "dark" ? "#a0a0a0" : "#999")
-      .attr("d", "M0,-5L10,0L0,5");
-
-    // 创建布局
-    let simulation;
-
-    if (layoutType === "radial") {
-      // 径向布局
-      simulation = d3
-        .forceSimulation(networkData.nodes)
-        .force(
-          "link",
-          d3
-            .forceLink(networkData.links)
-            .id((d) => d.id)
-            .distance((d) => 100 / (d.value * 0.5))
-        )
-        .force("charge", d3.forceManyBody().strength(-100))
-        .force(
-          "x",
-          d3
-            .forceX()
-            .strength(0.1)
-            .x(width / 2)
-        )
-        .force(
-          "y",
-          d3
-            .forceY()
-            .strength(0.1)
-            .y(height / 2)
-        )
-        .force(
-          "collide",
-          d3
-            .forceCollide()
-            .radius((d) => radiusScale(d.count) + 2)
-            .strength(1)
-        )
-        .force(
-          "radial",
-          d3
-            .forceRadial((d) => d.count * 3, width / 2, height / 2)
-            .strength(0.8)
-        );
-    } else if (layoutType === "cluster") {
-      // 聚类布局 - 同一社区的节点会聚集在一起
-      simulation = d3
-        .forceSimulation(networkData.nodes)
-        .force(
-          "link",
-          d3
-            .forceLink(networkData.links)
-            .id((d) => d.id)
-            .distance((d) => 100 / Math.sqrt(d.value))
-        )
-        .force("charge", d3.forceManyBody().strength(-200))
-        .force("center", d3.forceCenter(width / 2, height / 2))
-        .force(
-          "collide",
-          d3
-            .forceCollide()
-            .radius((d) => radiusScale(d.count) + 5)
-            .strength(0.9)
-        )
-        .force("cluster", (alpha) => {
-          // 同一社区的节点相互吸引
-          const centroids = {};
-
-          // 计算每个社区的中心点
-          networkData.nodes.forEach((d) => {
-            if (!centroids[d.community]) {
-              centroids[d.community] = { x: 0, y: 0, count: 0 };
-            }
-            centroids[d.community].x += d.x;
-            centroids[d.community].y += d.y;
-            centroids[d.community].count += 1;
-          });
-
-          // 计算质心
-          Object.keys(centroids).forEach((community) => {
-            centroids[community].x /= centroids[community].count;
-            centroids[community].y /= centroids[community].count;
-          });
-
-          // 节点向其社区的质心移动
-          networkData.nodes.forEach((d) => {
-            const centroid = centroids[d.community];
-            d.vx += (centroid.x - d.x) * alpha * 0.1;
-            d.vy += (centroid.y - d.y) * alpha * 0.1;
-          });
-        });
-    } else {
-      // 标准力导向布局
-      simulation = d3
-        .forceSimulation(networkData.nodes)
-        .force(
-          "link",
-          d3
-            .forceLink(networkData.links)
-            .id((d) => d.id)
-            .distance((d) => 150 - d.value * 5)
-        )
-        .force("charge", d3.forceManyBody().strength(-150))
-        .force("center", d3.forceCenter(width / 2, height / 2))
-        .force(
-          "collide",
-          d3
-            .forceCollide()
-            .radius((d) => radiusScale(d.count) + 10)
-            .strength(0.7)
-        );
-    }
-
-    // 存储模拟引用以便稍后访问
-    simulationRef.current = simulation;
-
-    // 创建曲线连接线
-    const link = container
-      .append("g")
-      .attr("class", "links")
-      .selectAll("path")
-      .data(networkData.links)
-      .join("path")
-      .attr("stroke", (d) => {
-        const sourceNode = networkData.nodes.find(
-          (n) => n.id === d.source.id || n.id === d.source
-        );
-        const targetNode = networkData.nodes.find(
-          (n) => n.id === d.target.id || n.id === d.target
-        );
-        if (
-          sourceNode &&
-          targetNode &&
-          sourceNode.community === targetNode.community
-        ) {
-          return colorScale(sourceNode.community);
-        }
-        return visualStyle === "dark" ? "#404050" : "#bbb";
-      })
-      .attr("stroke-opacity", 0.4)
-      .attr("stroke-width", (d) => linkWidthScale(d.value))
-      .attr("fill", "none");
-
-    // 添加节点组
-    const node = container
-      .append("g")
-      .attr("class", "nodes")
-      .selectAll("g")
-      .data(networkData.nodes)
-      .join("g")
-      .call(drag(simulation))
-      .on("click", (event, d) => {
-        setSelectedNode(selectedNode === d.id ? null : d.id);
-      })
-      .on("mouseover", function (event, d) {
-        // 突出显示当前节点和相连的边
-        d3.select(this)
-          .select("circle")
-          .transition()
-          .duration(200)
-          .attr("stroke", "#fff")
-          .attr("stroke-width", 2);
-
-        // 过滤连接到这个节点的链接
-        const relatedLinks = networkData.links.filter(
-          (l) =>
-            l.source.id === d.id ||
-            l.source === d.id ||
-            l.target.id === d.id ||
-            l.target === d.id
-        );
-
-        // 过滤直接连接的节点ID
-        const connectedNodeIds = new Set();
-        relatedLinks.forEach((l) => {
-          const sourceId = l.source.id || l.source;
-          const targetId = l.target.id || l.target;
-          if (sourceId === d.id) connectedNodeIds.add(targetId);
-          else connectedNodeIds.add(sourceId);
-        });
-
-        // 高亮连接的边
-        link
-          .transition()
-          .duration(200)
-          .attr("stroke-opacity", (l) => {
-            const sourceId = l.source.id || l.source;
-            const targetId = l.target.id || l.target;
-            return sourceId === d.id || targetId === d.id ? 0.9 : 0.1;
-          })
-          .attr("stroke-width", (l) => {
-            const sourceId = l.source.id || l.source;
-            const targetId = l.target.id || l.target;
-            return sourceId === d.id || targetId === d.id
-              ? linkWidthScale(l.value) * 1.5
-              : linkWidthScale(l.value) * 0.5;
-          });
-
-        // 调整其他节点的不透明度
-        node
-          .transition()
-          .duration(200)
-          .attr("opacity", (n) => {
-            if (n.id === d.id) return 1;
-            return connectedNodeIds.has(n.id) ? 0.9 : 0.2;
-          });
-
-        // 显示工具提示
-        tooltip
-          .style("visibility", "visible")
-          .style("opacity", 0)
-          .transition()
-          .duration(200)
-          .style("opacity", 1)
-          .style("left", `${event.pageX + 10}px`)
-          .style("top", `${event.pageY - 20}px`);
-
-        // 获取前5个最强连接
-        const topConnections = [...d.connections]
-          .sort((a, b) => b.strength - a.strength)
-          .filter((c) => c.strength >= minLinkStrength)
-          .slice(0, 5);
-
-        tooltip.html(`
-            <div style="font-weight:600;margin-bottom:6px;font-size:15px;border-bottom:1px solid ${
-              visualStyle === "dark" ? "#505060" : "#eee"
-            };padding-bottom:6px;">
-              ${d.id}
-            </div>
-            <div style="margin:4px 0;display:flex;justify-content:space-between;font-size:13px;">
-              <span>出现次数:</span> <span>${d.count}</span>
-            </div>
-            <div style="margin:4px 0;display:flex;justify-content:space-between;font-size:13px;">
-              <span>社区ID:</span> <span>${d.community}</span>
-            </div>
-            <div style="margin:8px 0 4px;font-size:13px;opacity:0.8;">关联关键词:</div>
-            <div style="font-size:12px;margin-left:8px;">
-              ${topConnections
-                .map(
-                  (c) =>
-                    `<div style="margin:3px 0;display:flex;justify-content:space-between;">
-                  <span>${c.keyword}</span>
-                  <span style="opacity:0.7;margin-left:8px;">关联强度: ${c.strength}</span>
-                </div>`
-                )
-                .join("")}
-            </div>
-          `);
-      })
-      .on("mousemove", function (event) {
-        tooltip
-          .style("left", `${event.pageX + 10}px`)
-          .style("top", `${event.pageY - 20}px`);
-      })
-      .on("mouseout", function () {
-        // 恢复原始样式
-        d3.select(this)
-          .select("circle")
-          .transition()
-          .duration(200)
-          .attr("stroke", (d) => (d.id === selectedNode ? "#fff" : "none"))
-          .attr("stroke-width", (d) => (d.id === selectedNode ? 2 : 0));
-
-        // 恢复所有边和节点
-        link
-          .transition()
-          .duration(200)
-          .attr("stroke-opacity", 0.4)
-          .attr("stroke-width", (d) => linkWidthScale(d.value));
-
-        node.transition().duration(200).attr("opacity", 1);
-
-        // 隐藏工具提示
-        tooltip
-          .transition()
-          .duration(200)
-          .style("opacity", 0)
-          .on("end", () => tooltip.style("visibility", "hidden"));
-      });
-
-    // 添加节点圆
-    node
-      .append("circle")
-      .attr("r", (d) => radiusScale(d.count))
-      .attr("fill", (d) => {
-        // 使用渐变
-        const color = colorScale(d.community);
-        const darker = d3.rgb(color).darker(0.5).toString();
-        const id = `gradient-${d.id.replace(/\s+/g, "-")}`;
-
-        // 创建径向渐变
-        const gradient = svg
-          .append("defs")
-          .append("radialGradient")
-          .attr("id", id)
-          .attr("cx", "30%")
-          .attr("cy", "30%")
-          .attr("r", "70%")
-          .attr("fx", "30%")
-          .attr("fy", "30%");
-
-        gradient
-          .append("stop")
-          .attr("offset", "0%")
-          .attr("stop-color", d3.rgb(color).brighter(0.2));
-
-        gradient
-          .append("stop")
-          .attr("offset", "100%")
-          .attr("stop-color", darker);
-
-        return `url(#${id})`;
-      })
-      .attr("stroke", (d) => (d.id === selectedNode ? "#fff" : "none"))
-      .attr("stroke-width", (d) => (d.id === selectedNode ? 2 : 0))
-      .style("filter", "url(#glow)");
-
-    // 添加发光效果
-    const defs = svg.append("defs");
-
-    const filter = defs
-      .append("filter")
-      .attr("id", "glow")
-      .attr("height", "130%");
-
-    filter
-      .append("feGaussianBlur")
-      .attr("stdDeviation", "2")
-      .attr("result", "coloredBlur");
-
-    const feMerge = filter.append("feMerge");
-    feMerge.append("feMergeNode").attr("in", "coloredBlur");
-    feMerge.append("feMergeNode").attr("in", "SourceGraphic");
-
-    // 添加节点标签
-    if (showLabels) {
-      // 创建白色背景板
-      node
-        .append("text")
-        .attr("dx", (d) => radiusScale(d.count) + 2)
-        .attr("dy", 4)
-        .attr("font-family", "'Arial', sans-serif")
-        .attr("font-size", (d) => Math.max(10, Math.min(14, 10 + d.count / 5)))
-        .attr("font-weight", (d) =>
-          d.count > (countExtent[1] - countExtent[0]) / 2 ? 600 : 400
-        )
-        .text((d) => d.id)
-        .attr("fill", visualStyle === "dark" ? "#eeeeee" : "#333333")
-        .attr("stroke", visualStyle === "dark" ? "#202025" : "#ffffff")
-        .attr("stroke-width", 4)
-        .attr("stroke-linejoin", "round")
-        .attr("paint-order", "stroke")
-        .attr("opacity", 0.9);
-
-      // 添加实际文本
-      node
-        .append("text")
-        .attr("dx", (d) => radiusScale(d.count) + 2)
-        .attr("dy", 4)
-        .attr("font-family", "'Arial', sans-serif")
-        .attr("font-size", (d) => Math.max(10, Math.min(14, 10 + d.count / 5)))
-        .attr("font-weight", (d) =>
-          d.count > (countExtent[1] - countExtent[0]) / 2 ? 600 : 400
-        )
-        .text((d) => d.id)
-        .attr("fill", (d) => d3.rgb(colorScale(d.community)).darker(0.8));
-    }
-
-    // 添加曲线路径
-    simulation.on("tick", () => {
-      link.attr("d", (d) => {
-        const sourceX = d.source.x;
-        const sourceY = d.source.y;
-        const targetX = d.target.x;
-        const targetY = d.target.y;
-
-        // 使用二次曲线
-        const dx = targetX - sourceX;
-        const dy = targetY - sourceY;
-        const dr = Math.sqrt(dx * dx + dy * dy) * 2;
+    const burstByKeyword = new Map(bursts.map((b) => [b.keyword, b]));
+
+    scene.style = {
+      nodeRadius,
+      nodeColor,
+      // 同一社区内的连线使用社区颜色
+      linkColor: (d) =>
+        !overlay && d.source.community === d.target.community
+          ? colorScale(d.source.community)
+          : visualStyle === "dark"
+          ? "#404050"
+          : "#bbb",
+      linkWidth: (d) => linkWidthScale(d.value),
+      labelValue,
+      labelSize: (d) => labelSizeScale(labelValue(d)),
+      labelWeight: (d) => (labelValue(d) > labelMidpoint ? 600 : 400),
+      labelColor: visualStyle === "dark" ? "#eeeeee" : "#333333",
+      labelHalo: visualStyle === "dark" ? "#202025" : "#ffffff",
+      showLabels,
+      selectedId: selectedNode,
+      // 选中节点的描边颜色（亮色背景上白色描边不可见）
+      selectedStroke: visualStyle === "dark" ? "#fff" : "#222",
+      burstColor: BURST_COLOR,
+      burstOf: (d) => burstByKeyword.get(d.id),
+      isPinned: (d) => pinnedRef.current.has(d.id),
+      communityNames,
+      counting,
+      minLinkStrength,
+      visualStyle,
+      densityView,
+      colorOf: colorScale,
+    };
+    styleNetworkElements(scene);
+    if (scene.canvasRenderer) scene.canvasRenderer.setStyle(scene.style);
+    scheduleDensity(scene);
 
-        return `M${sourceX},${sourceY}A${dr},${dr} 0 0,1 ${targetX},${targetY}`;
-      });
+    svg
+      .select(".arrow-head")
+      .attr("fill", visualStyle === "dark" ? "#a0a0a0" : "#999");
+    scene.watermark.attr(
+      "fill",
+      visualStyle === "dark" ? "#454550" : "#e5e5e5"
+    );
 
-      node.attr("transform", (d) => `translate(${d.x},${d.y})`);
-    });
+    // 时间切片的年份区间（固定位置，随图导出）
+    scene.periodText
+      .attr("display", periodLabel ? null : "none")
+      .attr("fill", visualStyle === "dark" ? "#606070" : "#c8c8c8")
+      .text(periodLabel || "");
 
-    // 添加图例（固定位置，不随缩放变化）
+    // 图例（固定位置，不随缩放变化）
     const legendSize = 12;
     const legendSpacing = 6;
     const legendX = 30;
     const legendY = 30;
+    legend.selectAll("*").remove();
 
-    const legend = svg
-      .append("g")
-      .attr("class", "legend")
-      .attr("transform", `translate(${legendX},${legendY})`)
-      .style("pointer-events", "none"); // 避免与缩放交互
+    legend.attr("transform", `translate(${legendX},${legendY})`);
 
-    // 背景面板
-    legend
+    // 图例内容：密度图显示密度色带，社区密度图总是按社区显示颜色
+    const legendType =
+      densityView === "density"
+        ? "density"
+        : overlay && densityView === "none"
+        ? "year"
+        : "community";
+
+    // 背景面板（宽度在图例项绘制完成后按名称长度调整）
+    const legendBackground = legend
       .append("rect")
       .attr("x", -10)
       .attr("y", -15)
       .attr("width", 180)
-      .attr("height", communities.length * (legendSize + legendSpacing) + 25)
+      .attr(
+        "height",
+        legendType !== "community"
+          ? 70
+          : communities.length * (legendSize + legendSpacing) + 25
+      )
       .attr(
         "fill",
         visualStyle === "dark" ? "rgba(40,40,50,0.8)" : "rgba(255,255,255,0.9)"
@@ -1003,19 +1950,94 @@ const KeywordNetworkViz = () => {
       .attr("font-size", 13)
       .attr("font-weight", 600)
       .attr("fill", visualStyle === "dark" ? "#f0f0f0" : "#333")
-      .text("主题社区");
+      .text(
+        legendType === "density"
+          ? "关键词密度"
+          : legendType === "year"
+          ? colorMode === "overlay-median"
+            ? "发表年份中位数"
+            : "平均发表年份"
+          : "主题社区"
+      );
+
+    if (legendType !== "community") {
+      // 连续色带
+      const barWidth = 160;
+      legend
+        .append("rect")
+        .attr("y", 12)
+        .attr("width", barWidth)
+        .attr("height", 10)
+        .attr("rx", 2)
+        .attr("fill", "url(#year-gradient)");
+
+      legend
+        .selectAll(".legend-year")
+        .data(
+          legendType === "density"
+            ? ["低", "高"]
+            : yearExtent[0] === undefined
+            ? []
+            : yearExtent.map((year) => year.toFixed(1))
+        )
+        .enter()
+        .append("text")
+        .attr("class", "legend-year")
+        .attr("x", (d, i) => (i === 0 ? 0 : barWidth))
+        .attr("y", 36)
+        .attr("text-anchor", (d, i) => (i === 0 ? "start" : "end"))
+        .attr("font-family", "'Arial', sans-serif")
+        .attr("font-size", 11)
+        .attr("fill", visualStyle === "dark" ? "#e0e0e0" : "#505050")
+        .text((d) => d);
+
+      if (legendType === "year" && yearExtent[0] === undefined) {
+        legend
+          .append("text")
+          .attr("y", 36)
+          .attr("font-family", "'Arial', sans-serif")
+          .attr("font-size", 11)
+          .attr("fill", visualStyle === "dark" ? "#e0e0e0" : "#505050")
+          .text("当前数据没有年份信息");
+      }
+    }
+
+    // 模块度得分，只在按社区着色时显示
+    if (legendType === "community") {
+      legend
+        .append("text")
+        .attr("x", 160)
+        .attr("y", 0)
+        .attr("text-anchor", "end")
+        .attr("font-family", "'Arial', sans-serif")
+        .attr("font-size", 11)
+        .attr("fill", visualStyle === "dark" ? "#b0b0b0" : "#777")
+        .text(`Q = ${networkData.modularity.toFixed(3)}`);
+    }
 
     // 图例项
     const legendItems = legend
       .selectAll(".legend-item")
-      .data(communities)
+      .data(legendType === "community" ? communities : [])
       .enter()
       .append("g")
       .attr("class", "legend-item")
       .attr(
         "transform",
         (d, i) => `translate(0,${i * (legendSize + legendSpacing) + 15})`
-      );
+      )
+      .style("pointer-events", "all")
+      .style("cursor", "text")
+      .on("click", (event, d) => {
+        const i = communities.indexOf(d);
+        setEditingCommunity({
+          community: d,
+          left: legendX + legendSize + 2,
+          top: legendY + i * (legendSize + legendSpacing) + 15 - 4,
+        });
+      });
+
+    legendItems.append("title").text("点击修改社区名称");
 
     legendItems
       .append("rect")
@@ -1034,57 +2056,59 @@ const KeywordNetworkViz = () => {
       .attr("fill", visualStyle === "dark" ? "#e0e0e0" : "#505050")
       .text(
         (d) =>
-          `社区 ${d} (${
-            networkData.nodes.filter((n) => n.community === d).length
-          } 节点)`
+          `${communityNames.get(d)} (${
+            nodes.filter((n) => n.community === d).length
+          })`
       );
 
-    // 在第一次渲染后让图形"冷却"
-    setTimeout(() => {
-      simulation.alphaTarget(0);
-    }, 3000);
-
-    // 定义拖拽行为
-    function drag(simulation) {
-      function dragstarted(event) {
-        if (!event.active) simulation.alphaTarget(0.3).restart();
-        event.subject.fx = event.subject.x;
-        event.subject.fy = event.subject.y;
-      }
-
-      function dragged(event) {
-        event.subject.fx = event.x;
-        event.subject.fy = event.y;
-      }
-
-      function dragended(event) {
-        if (!event.active) simulation.alphaTarget(0);
-        event.subject.fx = null;
-        event.subject.fy = null;
-      }
-
-      return d3
-        .drag()
-        .on("start", dragstarted)
-        .on("drag", dragged)
-        .on("end", dragended);
-    }
+    legendBackground.attr(
+      "width",
+      Math.max(180, legend.node().getBBox().width + 10)
+    );
   }, [
     networkData,
+    communityFilter,
+    canvasMode,
+    periodLabel,
     showLabels,
     visualStyle,
-    layoutType,
     selectedNode,
+    sizeBy,
+    labelPriority,
+    colorMode,
+    counting,
     minLinkStrength,
+    customCommunityNames,
+    communityNameBy,
+    densityView,
+    bursts,
   ]);
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <div className="text-lg text-gray-600">加载中...</div>
-      </div>
-    );
-  }
+  // 冻结布局时停止力模拟，解除冻结后从当前位置继续
+  const toggleLayoutFrozen = () => {
+    if (layoutRef.current) {
+      if (layoutFrozen) {
+        layoutRef.current.start(0.3);
+      } else {
+        layoutRef.current.stop();
+        simulationRef.current.stop();
+      }
+    }
+    setLayoutFrozen(!layoutFrozen);
+  };
+
+  // 取消所有节点的固定并重新计算布局
+  const unpinAll = () => {
+    pinnedRef.current = new Map();
+    setPinnedCount(0);
+    setLayoutRevision(layoutRevision + 1);
+  };
+
+  // 取消分析线程中正在进行的任务
+  const cancelAnalysis = () => {
+    analysis.cancelAll();
+    setProgress(null);
+  };
 
   return (
     <div
@@ -1096,6 +2120,14 @@ const KeywordNetworkViz = () => {
     >
       <h1 className="text-2xl font-bold mb-4">论文关键词网络关系图</h1>
 
+      {progress && (
+        <ProgressBar
+          progress={progress}
+          visualStyle={visualStyle}
+          onCancel={cancelAnalysis}
+        />
+      )}
+
       {/* 文件上传区域 */}
       <div
         className={`mb-6 p-4 border rounded ${
@@ -1106,7 +2138,9 @@ const KeywordNetworkViz = () => {
       >
         <h2 className="text-lg font-semibold mb-2">数据来源</h2>
         {usingFile ? (
-          <div className="text-green-600 mb-2">✓ 已成功加载CSV文件数据</div>
+          <div className="text-green-600 mb-2">
+            ✓ 已成功加载{importedNetworkName ? "网络" : "文件数据"}
+          </div>
         ) : (
           <div
             className={`mb-2 ${
@@ -1117,31 +2151,210 @@ const KeywordNetworkViz = () => {
                 : "text-gray-600"
             }`}
           >
-            {error ? error : "当前显示示例数据，请上传CSV文件进行分析"}
+            {error ? error : "当前显示示例数据，请上传文献数据文件进行分析"}
           </div>
         )}
 
-        <div className="flex items-center">
+        <div className="flex items-center">
+          <input
+            type="file"
+            accept=".csv,.txt,.tsv,.tab"
+            multiple
+            onChange={handleFileUpload}
+            ref={fileInputRef}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded"
+          >
+            选择数据文件
+          </button>
+          <input
+            type="file"
+            accept=".gexf,.graphml,.xml"
+            onChange={handleGraphUpload}
+            ref={graphInputRef}
+            className="hidden"
+          />
+          <button
+            onClick={() => graphInputRef.current.click()}
+            className={`ml-2 py-2 px-4 rounded border ${
+              visualStyle === "dark"
+                ? "border-gray-600 hover:bg-gray-700"
+                : "border-gray-300 hover:bg-gray-100"
+            }`}
+            title="导入GEXF或GraphML格式的网络"
+          >
+            导入网络文件
+          </button>
+          <input
+            type="file"
+            accept=".json"
+            onChange={handleProjectUpload}
+            ref={projectInputRef}
+            className="hidden"
+          />
+          <button
+            onClick={() => projectInputRef.current.click()}
+            className={`ml-2 py-2 px-4 rounded border ${
+              visualStyle === "dark"
+                ? "border-gray-600 hover:bg-gray-700"
+                : "border-gray-300 hover:bg-gray-100"
+            }`}
+            title="打开保存的项目文件，恢复数据、设置和布局"
+          >
+            打开项目
+          </button>
+          <button
+            onClick={saveProject}
+            className={`ml-2 py-2 px-4 rounded border ${
+              visualStyle === "dark"
+                ? "border-gray-600 hover:bg-gray-700"
+                : "border-gray-300 hover:bg-gray-100"
+            }`}
+            title="把当前的数据、设置和节点位置保存为项目文件"
+          >
+            保存项目
+          </button>
+          <span
+            className={`ml-2 text-sm ${
+              visualStyle === "dark" ? "text-gray-400" : "text-gray-600"
+            }`}
+          >
+            支持CSV、Scopus CSV、Web of
+            Science纯文本/制表符分隔，以及CNKI/万方的Refworks、NoteExpress、EndNote导出（可多选分卷文件，自动识别UTF-8/GBK编码），上传后可选择关键词、标题、年份等字段对应的列
+          </span>
+        </div>
+
+        {/* 关键词切分 */}
+        <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+          <span className="font-medium">关键词切分:</span>
+          <label className="flex items-center">
+            <span className="mr-1">分隔符</span>
+            <input
+              type="text"
+              value={tokenization.delimiters}
+              onChange={(e) =>
+                setTokenization({ ...tokenization, delimiters: e.target.value })
+              }
+              title="每个字符都作为分隔符，同时生效"
+              className={`p-1 border rounded w-28 font-mono ${
+                visualStyle === "dark"
+                  ? "bg-gray-700 border-gray-600 text-gray-200"
+                  : "bg-white border-gray-300"
+              }`}
+            />
+          </label>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={tokenization.respectQuotes}
+              onChange={() =>
+                setTokenization({
+                  ...tokenization,
+                  respectQuotes: !tokenization.respectQuotes,
+                })
+              }
+              className="h-4 w-4 text-blue-600"
+            />
+            <span className="ml-1">引号内短语不切分</span>
+          </label>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={tokenization.stripBrackets}
+              onChange={() =>
+                setTokenization({
+                  ...tokenization,
+                  stripBrackets: !tokenization.stripBrackets,
+                })
+              }
+              className="h-4 w-4 text-blue-600"
+            />
+            <span className="ml-1">去除括号限定语，如 (CNN)</span>
+          </label>
+          <label className="flex items-center">
+            <span className="mr-1">解析预览</span>
+            <select
+              value={previewCount}
+              onChange={(e) => setPreviewCount(Number(e.target.value))}
+              className={`p-1 border rounded ${
+                visualStyle === "dark"
+                  ? "bg-gray-700 border-gray-600 text-gray-200"
+                  : "bg-white border-gray-300"
+              }`}
+            >
+              <option value={0}>不显示</option>
+              <option value={5}>前5条记录</option>
+              <option value={10}>前10条记录</option>
+              <option value={20}>前20条记录</option>
+            </select>
+          </label>
+        </div>
+
+        {previewCount > 0 && (
+          <KeywordPreview rows={getPreviewRows()} visualStyle={visualStyle} />
+        )}
+
+        {/* 关键词规范化 */}
+        <div className="mt-4 flex flex-wrap items-center gap-4 text-sm">
+          <span className="font-medium">关键词规范化:</span>
+          {[
+            ["fullWidth", "全角转半角"],
+            ["unifyPunctuation", "统一标点和连字符"],
+            ["caseFolding", "忽略大小写"],
+            ["stemPlurals", "英文复数还原"],
+          ].map(([key, label]) => (
+            <label key={key} className="flex items-center">
+              <input
+                type="checkbox"
+                checked={normalization[key]}
+                onChange={() =>
+                  setNormalization({
+                    ...normalization,
+                    [key]: !normalization[key],
+                  })
+                }
+                className="h-4 w-4 text-blue-600"
+              />
+              <span className="ml-1">{label}</span>
+            </label>
+          ))}
+
           <input
             type="file"
-            accept=".csv"
-            onChange={handleFileUpload}
-            ref={fileInputRef}
+            accept=".txt,.tsv,.csv"
+            onChange={handleThesaurusUpload}
+            ref={thesaurusInputRef}
             className="hidden"
           />
           <button
-            onClick={() => fileInputRef.current.click()}
-            className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded"
-          >
-            选择CSV文件
-          </button>
-          <span
-            className={`ml-2 text-sm ${
-              visualStyle === "dark" ? "text-gray-400" : "text-gray-600"
+            onClick={() => thesaurusInputRef.current.click()}
+            className={`py-1 px-3 rounded border ${
+              visualStyle === "dark"
+                ? "border-gray-600 hover:bg-gray-700"
+                : "border-gray-300 hover:bg-gray-100"
             }`}
+            title="VOSviewer格式的两列同义词表（label、replace by），替换词为空表示删除该术语"
           >
-            请选择包含Keywords列的CSV文件
-          </span>
+            上传同义词表
+          </button>
+          {thesaurus && (
+            <span
+              className={
+                visualStyle === "dark" ? "text-gray-300" : "text-gray-600"
+              }
+            >
+              已加载 {thesaurus.name}（{thesaurus.entries.length} 条）
+              <button
+                onClick={() => setThesaurus(null)}
+                className="ml-2 text-red-600 hover:underline"
+              >
+                移除
+              </button>
+            </span>
+          )}
         </div>
       </div>
 
@@ -1150,8 +2363,12 @@ const KeywordNetworkViz = () => {
           visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
         }`}
       >
-        {usingFile
-          ? `基于 ${totalPapers} 篇论文的关键词网络图，节点大小表示关键词出现频率，节点颜色表示主题社区，连线粗细表示关联强度。`
+        {importedNetworkName
+          ? `导入的网络 ${importedNetworkName}：共 ${keywordData.length} 个关键词，节点颜色表示重新检测的主题社区，连线粗细表示文件中的连线权重。`
+          : usingFile
+          ? `基于 ${totalPapers} 篇论文${
+              periodLabel ? `（${periodLabel}）` : ""
+            }的关键词网络图，节点大小表示关键词出现频率，节点颜色表示主题社区，连线粗细表示关联强度。`
           : `示例数据：关键词网络关系可视化（节点大小表示出现频率，节点颜色表示主题社区，连线粗细表示关联强度）`}
       </p>
 
@@ -1184,6 +2401,10 @@ const KeywordNetworkViz = () => {
             <option value={30}>30个关键词</option>
             <option value={50}>50个关键词</option>
             <option value={100}>100个关键词</option>
+            <option value={200}>200个关键词</option>
+            <option value={500}>500个关键词</option>
+            <option value={1000}>1000个关键词</option>
+            <option value={2000}>2000个关键词</option>
           </select>
         </div>
 
@@ -1204,10 +2425,209 @@ const KeywordNetworkViz = () => {
                 : "bg-white border-gray-300"
             }`}
           >
-            <option value={1}>1 (显示所有连接)</option>
-            <option value={2}>2 (中等强度)</option>
-            <option value={3}>3 (仅强连接)</option>
-            <option value={5}>5 (非常强连接)</option>
+            {getThresholds(linkWeight, counting).map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            连线权重:
+          </label>
+          <select
+            value={linkWeight}
+            onChange={(e) => {
+              const measure = e.target.value;
+              setLinkWeight(measure);
+              // 不同度量的取值范围不同，切换时重置最小连接强度
+              setMinLinkStrength(getThresholds(measure, counting)[0].value);
+            }}
+            className={`p-2 border rounded ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          >
+            {Object.entries(LINK_WEIGHT_MEASURES).map(([key, measure]) => (
+              <option
+                key={key}
+                value={key}
+                disabled={!isMeasureAvailable(key, counting)}
+              >
+                {measure.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            共现计数:
+          </label>
+          <select
+            value={counting}
+            onChange={(e) => {
+              const method = e.target.value;
+              // 二值计数只能使用原始共现次数
+              const measure = isMeasureAvailable(linkWeight, method)
+                ? linkWeight
+                : "raw";
+              setCounting(method);
+              setLinkWeight(measure);
+              setMinLinkStrength(getThresholds(measure, method)[0].value);
+            }}
+            title={COUNTING_METHODS[counting].description}
+            className={`p-2 border rounded ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          >
+            {Object.entries(COUNTING_METHODS).map(([key, method]) => (
+              <option key={key} value={key}>
+                {method.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            社区分辨率:
+          </label>
+          <input
+            type="number"
+            min={0.1}
+            max={5}
+            step={0.1}
+            value={resolution}
+            onChange={(e) => {
+              const value = Number(e.target.value);
+              if (value > 0) setResolution(value);
+            }}
+            title="Louvain模块度优化的分辨率参数，数值越大社区越小越多"
+            className={`p-2 border rounded w-24 ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          />
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            节点着色:
+          </label>
+          <select
+            value={colorMode}
+            onChange={(e) => setColorMode(e.target.value)}
+            className={`p-2 border rounded ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          >
+            <option value="community">主题社区</option>
+            <option value="overlay-mean" disabled={!hasYears}>
+              平均发表年份（叠加）
+            </option>
+            <option value="overlay-median" disabled={!hasYears}>
+              发表年份中位数（叠加）
+            </option>
+          </select>
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            节点大小依据:
+          </label>
+          <select
+            value={sizeBy}
+            onChange={(e) => setSizeBy(e.target.value)}
+            className={`p-2 border rounded ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          >
+            {Object.entries(NODE_METRICS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            标签优先级依据:
+          </label>
+          <select
+            value={labelPriority}
+            onChange={(e) => setLabelPriority(e.target.value)}
+            className={`p-2 border rounded ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          >
+            {Object.entries(NODE_METRICS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            社区命名依据:
+          </label>
+          <select
+            value={communityNameBy}
+            onChange={(e) => setCommunityNameBy(e.target.value)}
+            className={`p-2 border rounded ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          >
+            {Object.entries(NODE_METRICS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
           </select>
         </div>
 
@@ -1234,6 +2654,88 @@ const KeywordNetworkViz = () => {
           </select>
         </div>
 
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            显示方式:
+          </label>
+          <select
+            value={densityView}
+            onChange={(e) => setDensityView(e.target.value)}
+            title="密度图按布局坐标和关键词频率估计核密度，颜色越亮关键词越集中"
+            className={`p-2 border rounded ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          >
+            {Object.entries(DENSITY_VIEWS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            绘制方式:
+          </label>
+          <select
+            value={renderer}
+            onChange={(e) => setRenderer(e.target.value)}
+            title="节点较多时画布绘制更流畅；导出图片总是使用矢量图形"
+            className={`p-2 border rounded ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          >
+            {Object.entries(RENDERERS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            className={`block text-sm font-medium mb-1 ${
+              visualStyle === "dark" ? "text-gray-300" : "text-gray-700"
+            }`}
+          >
+            布局种子:
+          </label>
+          <input
+            type="number"
+            min={0}
+            step={1}
+            value={layoutSeed === null ? "" : layoutSeed}
+            placeholder="不固定"
+            onChange={(e) =>
+              setLayoutSeed(
+                e.target.value === ""
+                  ? null
+                  : Math.max(0, Math.floor(Number(e.target.value)) || 0)
+              )
+            }
+            title="指定种子后，相同的数据和设置总是得到完全相同的布局"
+            className={`p-2 border rounded w-24 ${
+              visualStyle === "dark"
+                ? "bg-gray-700 border-gray-600 text-gray-200"
+                : "bg-white border-gray-300"
+            }`}
+          />
+        </div>
+
         <div>
           <label
             className={`block text-sm font-medium mb-1 ${
@@ -1283,6 +2785,18 @@ const KeywordNetworkViz = () => {
         </div>
       </div>
 
+      {/* 时间切片 */}
+      <TimeSlicePanel
+        yearRange={yearRange}
+        timeSlice={timeSlice}
+        period={slicePeriod}
+        paperCount={totalPapers}
+        playing={playing}
+        visualStyle={visualStyle}
+        onChange={changeTimeSlice}
+        onTogglePlay={togglePlayback}
+      />
+
       {/* 图表区域 */}
       <div
         className={`border rounded p-4 mb-4 ${
@@ -1291,109 +2805,321 @@ const KeywordNetworkViz = () => {
             : "bg-white border-gray-200"
         }`}
       >
-        <div className="flex justify-between items-center mb-4">
-          <div
-            className={`text-sm ${
-              visualStyle === "dark" ? "text-gray-400" : "text-gray-600"
-            }`}
-          >
-            <span className="font-medium">操作提示:</span>{" "}
-            将鼠标悬停在节点上可查看详细信息，拖动节点可调整位置，点击节点可固定选中
-          </div>
-
-          {/* 下载和缩放按钮 */}
-          <div className="flex gap-2">
+        {/* 视图切换 */}
+        <div
+          className={`flex gap-1 mb-4 border-b ${
+            visualStyle === "dark" ? "border-gray-700" : "border-gray-200"
+          }`}
+        >
+          {[
+            ["network", "网络图"],
+            ["table", `关键词表 (${keywordData.length})`],
+            ["bursts", `关键词突现 (${bursts.length})`],
+            ["evolution", "主题演化"],
+            ["strategic", "战略坐标图"],
+            ["matrix", "共现矩阵"],
+          ].map(([view, label]) => (
             <button
-              onClick={downloadSVG}
-              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
-              title="下载SVG矢量图"
-            >
-              下载SVG
-            </button>
-            <button
-              onClick={downloadPNG}
-              className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white text-sm rounded"
-              title="下载PNG位图"
+              key={view}
+              onClick={() => setActiveView(view)}
+              className={`px-4 py-2 text-sm border-b-2 -mb-px ${
+                activeView === view
+                  ? "border-blue-600 text-blue-600 font-medium"
+                  : `border-transparent ${
+                      visualStyle === "dark"
+                        ? "text-gray-400 hover:text-gray-200"
+                        : "text-gray-600 hover:text-gray-800"
+                    }`
+              }`}
             >
-              下载PNG
+              {label}
             </button>
+          ))}
+        </div>
+
+        {activeView === "table" && (
+          <KeywordTable
+            keywordData={keywordData}
+            nodes={networkData.nodes}
+            selectedNode={selectedNode}
+            visualStyle={visualStyle}
+            onSelect={selectKeywordFromTable}
+          />
+        )}
+
+        {activeView === "bursts" && (
+          <BurstPanel
+            bursts={bursts}
+            yearRange={slicePeriod || yearRange}
+            options={burstOptions}
+            visualStyle={visualStyle}
+            onOptionsChange={setBurstOptions}
+            onSelect={selectKeywordFromTable}
+          />
+        )}
+
+        {activeView === "evolution" && (
+          <EvolutionView
+            evolution={evolution}
+            yearRange={yearRange}
+            periods={periods}
+            colors={NATURE_COLORS}
+            visualStyle={visualStyle}
+            onPeriodsChange={setEvolutionPeriods}
+          />
+        )}
+
+        {activeView === "strategic" && (
+          <StrategicDiagram
+            nodes={networkData.nodes}
+            links={networkData.links}
+            colorOf={communityColorScale(networkData.nodes)}
+            nameOf={(community) => communityNames.get(community)}
+            visualStyle={visualStyle}
+            onSelectCommunity={(community) => {
+              setCommunityFilter(community);
+              setActiveView("network");
+            }}
+          />
+        )}
+
+        {activeView === "matrix" && (
+          <CooccurrenceMatrix
+            nodes={networkData.nodes}
+            weightLabel={LINK_WEIGHT_MEASURES[linkWeight].label}
+            counting={counting}
+            colorOf={communityColorScale(networkData.nodes)}
+            nameOf={(community) => communityNames.get(community)}
+            visualStyle={visualStyle}
+            findPapers={findSharedPapers}
+            hasPapers={!importedNetworkName}
+          />
+        )}
 
+        {/* 网络图保持挂载，切换视图时不丢失布局 */}
+        <div style={{ display: activeView === "network" ? "block" : "none" }}>
+          <div className="flex justify-between items-center mb-4">
             <div
-              className={`flex items-center gap-1 px-2 py-1 ml-2 rounded border ${
-                visualStyle === "dark"
-                  ? "border-gray-600 bg-gray-700"
-                  : "border-gray-300 bg-gray-100"
+              className={`text-sm ${
+                visualStyle === "dark" ? "text-gray-400" : "text-gray-600"
               }`}
             >
+              <span className="font-medium">操作提示:</span>{" "}
+              将鼠标悬停在节点上可查看详细信息，拖动节点可调整位置，点击节点可固定选中
+              {communityFilter !== null && (
+                <span className="ml-3">
+                  当前仅显示社区“{communityNames.get(communityFilter)}”
+                  <button
+                    onClick={() => setCommunityFilter(null)}
+                    className="ml-2 text-blue-600 hover:underline"
+                  >
+                    显示全部
+                  </button>
+                </span>
+              )}
+            </div>
+
+            {/* 下载和缩放按钮 */}
+            <div className="flex gap-2">
               <button
-                onClick={() => handleZoom(0.8)}
-                className={`w-6 h-6 flex items-center justify-center rounded ${
-                  visualStyle === "dark"
-                    ? "hover:bg-gray-600 text-gray-200"
-                    : "hover:bg-gray-200 text-gray-700"
-                }`}
-                title="缩小"
+                onClick={downloadSVG}
+                className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
+                title="下载SVG矢量图"
               >
-                -
+                下载SVG
               </button>
-              <span
-                className={`text-xs mx-1 ${
-                  visualStyle === "dark" ? "text-gray-300" : "text-gray-600"
-                }`}
+              <button
+                onClick={downloadPNG}
+                className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white text-sm rounded"
+                title="下载PNG位图"
               >
-                {Math.round(zoomLevel * 100)}%
-              </span>
+                下载PNG
+              </button>
               <button
-                onClick={() => handleZoom(1.25)}
-                className={`w-6 h-6 flex items-center justify-center rounded ${
+                onClick={() => setShowFigureExport(true)}
+                className="px-3 py-1 bg-indigo-600 hover:bg-indigo-700 text-white text-sm rounded"
+                title="按期刊要求的尺寸、分辨率和字体导出PNG、TIFF、PDF或SVG"
+              >
+                导出图片…
+              </button>
+              <select
+                value=""
+                onChange={(e) => exportNetwork(e.target.value)}
+                className={`px-2 py-1 text-sm border rounded ${
                   visualStyle === "dark"
-                    ? "hover:bg-gray-600 text-gray-200"
-                    : "hover:bg-gray-200 text-gray-700"
+                    ? "bg-gray-700 border-gray-600 text-gray-200"
+                    : "bg-white border-gray-300"
                 }`}
-                title="放大"
+                title="导出网络数据，供其他软件使用"
               >
-                +
-              </button>
-              <button
-                onClick={resetZoom}
-                className={`text-xs px-1 ml-1 rounded ${
+                <option value="" disabled>
+                  导出网络数据…
+                </option>
+                <option value="gexf">GEXF (Gephi)</option>
+                <option value="graphml">GraphML (Cytoscape)</option>
+                <option value="pajek">Pajek .net</option>
+                <option value="vosviewer">VOSviewer map + network</option>
+              </select>
+
+              <div
+                className={`flex items-center gap-1 px-2 py-1 ml-2 rounded border ${
                   visualStyle === "dark"
-                    ? "hover:bg-gray-600 text-gray-300"
-                    : "hover:bg-gray-200 text-gray-600"
+                    ? "border-gray-600 bg-gray-700"
+                    : "border-gray-300 bg-gray-100"
                 }`}
-                title="重置缩放"
               >
-                重置
-              </button>
+                <button
+                  onClick={() => handleZoom(0.8)}
+                  className={`w-6 h-6 flex items-center justify-center rounded ${
+                    visualStyle === "dark"
+                      ? "hover:bg-gray-600 text-gray-200"
+                      : "hover:bg-gray-200 text-gray-700"
+                  }`}
+                  title="缩小"
+                >
+                  -
+                </button>
+                <span
+                  className={`text-xs mx-1 ${
+                    visualStyle === "dark" ? "text-gray-300" : "text-gray-600"
+                  }`}
+                >
+                  {Math.round(zoomLevel * 100)}%
+                </span>
+                <button
+                  onClick={() => handleZoom(1.25)}
+                  className={`w-6 h-6 flex items-center justify-center rounded ${
+                    visualStyle === "dark"
+                      ? "hover:bg-gray-600 text-gray-200"
+                      : "hover:bg-gray-200 text-gray-700"
+                  }`}
+                  title="放大"
+                >
+                  +
+                </button>
+                <button
+                  onClick={resetZoom}
+                  className={`text-xs px-1 ml-1 rounded ${
+                    visualStyle === "dark"
+                      ? "hover:bg-gray-600 text-gray-300"
+                      : "hover:bg-gray-200 text-gray-600"
+                  }`}
+                  title="重置缩放"
+                >
+                  重置
+                </button>
+              </div>
+
+              <div
+                className={`flex items-center gap-2 px-2 py-1 ml-2 rounded border text-sm ${
+                  visualStyle === "dark"
+                    ? "border-gray-600 bg-gray-700"
+                    : "border-gray-300 bg-gray-100"
+                }`}
+              >
+                <label
+                  className="flex items-center"
+                  title="拖放后的节点固定在放下的位置"
+                >
+                  <input
+                    type="checkbox"
+                    checked={pinMode}
+                    onChange={() => setPinMode(!pinMode)}
+                    className="mr-1"
+                  />
+                  固定拖放的节点
+                </label>
+                <button
+                  onClick={unpinAll}
+                  disabled={pinnedCount === 0}
+                  className={`text-xs px-1 rounded disabled:opacity-50 ${
+                    visualStyle === "dark"
+                      ? "hover:bg-gray-600 text-gray-300"
+                      : "hover:bg-gray-200 text-gray-600"
+                  }`}
+                  title="取消所有节点的固定"
+                >
+                  全部取消固定{pinnedCount > 0 ? ` (${pinnedCount})` : ""}
+                </button>
+                <label
+                  className="flex items-center"
+                  title="停止力模拟，节点只随拖拽移动"
+                >
+                  <input
+                    type="checkbox"
+                    checked={layoutFrozen}
+                    onChange={toggleLayoutFrozen}
+                    className="mr-1"
+                  />
+                  冻结布局
+                </label>
+              </div>
+
+              {simulationRef.current && (
+                <button
+                  disabled={layoutFrozen}
+                  onClick={() => {
+                    if (layoutRef.current) layoutRef.current.start(0.3);
+                  }}
+                  className="px-3 py-1 bg-gray-500 hover:bg-gray-600 text-white text-sm rounded disabled:opacity-50"
+                  title="重新计算节点位置"
+                >
+                  重新布局
+                </button>
+              )}
             </div>
+          </div>
 
-            {simulationRef.current && (
-              <button
-                onClick={() => {
-                  if (simulationRef.current) {
-                    simulationRef.current.alpha(0.3).restart();
+          <div className="w-full relative">
+            {/* 画布模式下节点绘制在画布上，SVG 透明地叠在上面显示图例并接收鼠标事件 */}
+            <canvas
+              ref={canvasRef}
+              className={`absolute top-px left-px rounded ${
+                canvasMode ? "" : "hidden"
+              } ${visualStyle === "dark" ? "bg-gray-900" : "bg-gray-50"}`}
+            ></canvas>
+            <svg
+              ref={svgRef}
+              width="100%"
+              height="600"
+              className={`relative border rounded ${
+                canvasMode
+                  ? ""
+                  : visualStyle === "dark"
+                  ? "bg-gray-900"
+                  : "bg-gray-50"
+              }`}
+            ></svg>
+            <div ref={tooltipRef}></div>
+            {editingCommunity && (
+              <input
+                type="text"
+                autoFocus
+                defaultValue={communityNames.get(editingCommunity.community)}
+                onBlur={(e) => commitCommunityName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") e.target.blur();
+                  if (e.key === "Escape") {
+                    e.target.value = communityNames.get(
+                      editingCommunity.community
+                    );
+                    e.target.blur();
                   }
                 }}
-                className="px-3 py-1 bg-gray-500 hover:bg-gray-600 text-white text-sm rounded"
-                title="重新计算节点位置"
-              >
-                重新布局
-              </button>
+                placeholder="留空恢复默认名称"
+                className={`absolute p-1 border rounded text-xs w-48 ${
+                  visualStyle === "dark"
+                    ? "bg-gray-700 border-gray-600 text-gray-200"
+                    : "bg-white border-gray-300"
+                }`}
+                style={{
+                  left: editingCommunity.left,
+                  top: editingCommunity.top,
+                }}
+              />
             )}
           </div>
         </div>
-
-        <div className="w-full relative">
-          <svg
-            ref={svgRef}
-            width="100%"
-            height="600"
-            className={`border rounded ${
-              visualStyle === "dark" ? "bg-gray-900" : "bg-gray-50"
-            }`}
-          ></svg>
-          <div ref={tooltipRef}></div>
-        </div>
       </div>
 
       <div
@@ -1402,9 +3128,39 @@ const KeywordNetworkViz = () => {
         }`}
       >
         <p>
-          注：此网络图根据关键词在同一篇论文中出现的情况计算关联关系。节点大小表示该关键词出现频率，连线粗细表示两个关键词共同出现的频率。节点颜色表示算法检测出的主题社区。
+          注：此网络图根据关键词在同一篇论文中出现的情况计算关联关系。节点大小表示该关键词出现频率，连线粗细表示两个关键词之间的连线权重（当前度量：
+          {LINK_WEIGHT_MEASURES[linkWeight].label}
+          ）；共现采用{COUNTING_METHODS[counting].label}，
+          {COUNTING_METHODS[counting].description}
+          。节点颜色表示Louvain模块度优化算法检测出的主题社区，图例中的Q为该划分的模块度；选择年份叠加着色时，节点颜色改为表示包含该关键词的论文的平均（或中位）发表年份。带红色虚线圆环的节点为Kleinberg算法检测出的突现关键词。社区默认以其中排名靠前的关键词命名，点击图例中的名称可以修改。
         </p>
       </div>
+
+      {pendingImport && (
+        <ColumnMappingDialog
+          fields={pendingImport.fields}
+          rows={pendingImport.rows}
+          initialMapping={pendingImport.mapping}
+          formatLabel={pendingImport.formats
+            .map((format) => FORMAT_LABELS[format])
+            .join("、")}
+          encodingLabel={pendingImport.encodings.join("、")}
+          visualStyle={visualStyle}
+          onConfirm={confirmColumnMapping}
+          onCancel={cancelColumnMapping}
+        />
+      )}
+
+      {showFigureExport && svgRef.current && (
+        <FigureExportDialog
+          initialOptions={figureOptions}
+          aspectRatio={figureSize(svgRef.current, { widthMm: 1 }).heightMm}
+          visualStyle={visualStyle}
+          rasterizesPDF={figureRasterizesPDF}
+          onExport={confirmFigureExport}
+          onCancel={() => setShowFigureExport(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+import { formatPeriod } from "./timeSlice";
+import { BURST_COLOR } from "./burst";
+import NumberInput from "./NumberInput";
+
+// 突现最强的前N个关键词（CiteSpace 风格），每行用年份条标出突现区间
+const BurstPanel = ({
+  bursts,
+  yearRange,
+  options,
+  visualStyle,
+  onOptionsChange,
+  onSelect,
+}) => {
+  const [topN, setTopN] = useState(25);
+  const dark = visualStyle === "dark";
+  const inputClassName = `p-1 border rounded text-sm ${
+    dark
+      ? "bg-gray-700 border-gray-600 text-gray-200"
+      : "bg-white border-gray-300"
+  }`;
+
+  if (!yearRange) {
+    return (
+      <div className={`text-sm ${dark ? "text-gray-400" : "text-gray-500"}`}>
+        当前数据没有年份信息，无法进行突现检测。请在导入时映射年份列。
+      </div>
+    );
+  }
+
+  const years = [];
+  for (let year = yearRange[0]; year <= yearRange[1]; year++) years.push(year);
+  const rows = bursts.slice(0, topN);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+        <span className="font-medium">
+          突现最强的前
+          <select
+            value={topN}
+            onChange={(e) => setTopN(Number(e.target.value))}
+            className={`${inputClassName} mx-1`}
+          >
+            {[10, 25, 50].map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+          个关键词
+        </span>
+        <label className="flex items-center gap-1">
+          s
+          <NumberInput
+            min={1.1}
+            step={0.1}
+            value={options.s}
+            onCommit={(s) =>
+              onOptionsChange({ ...options, s: Math.max(1.1, s) })
+            }
+            className={`${inputClassName} w-16`}
+            title="突现状态与基础状态的出现概率之比"
+          />
+        </label>
+        <label className="flex items-center gap-1">
+          γ
+          <NumberInput
+            min={0}
+            step={0.1}
+            value={options.gamma}
+            onCommit={(gamma) =>
+              onOptionsChange({ ...options, gamma: Math.max(0, gamma) })
+            }
+            className={`${inputClassName} w-16`}
+            title="进入突现状态的代价系数，越大检测到的突现越少"
+          />
+        </label>
+        <span className={dark ? "text-gray-400" : "text-gray-600"}>
+          共检测到 {bursts.length} 个突现关键词（{formatPeriod(yearRange)}）
+        </span>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className={`text-sm ${dark ? "text-gray-400" : "text-gray-500"}`}>
+          未检测到突现关键词，可以尝试减小 s 或 γ。
+        </div>
+      ) : (
+        <div
+          className={`border rounded overflow-auto text-sm ${
+            dark ? "border-gray-700" : "border-gray-200"
+          }`}
+          style={{ maxHeight: 600 }}
+        >
+          <table className="w-full">
+            <thead>
+              <tr className={dark ? "bg-gray-700" : "bg-gray-100"}>
+                <th className="px-2 py-1 text-left">关键词</th>
+                <th className="px-2 py-1 text-left">强度</th>
+                <th className="px-2 py-1 text-left">开始</th>
+                <th className="px-2 py-1 text-left">结束</th>
+                <th className="px-2 py-1 text-left whitespace-nowrap">
+                  {formatPeriod(yearRange)}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr
+                  key={row.keyword}
+                  onClick={() => onSelect(row.keyword)}
+                  className={`border-t cursor-pointer ${
+                    dark
+                      ? "border-gray-700 hover:bg-gray-700"
+                      : "border-gray-100 hover:bg-blue-50"
+                  }`}
+                >
+                  <td className="px-2 py-1 font-medium">{row.keyword}</td>
+                  <td className="px-2 py-1">{row.strength.toFixed(2)}</td>
+                  <td className="px-2 py-1">{row.begin}</td>
+                  <td className="px-2 py-1">{row.end}</td>
+                  <td className="px-2 py-1">
+                    <div
+                      className="flex"
+                      style={{ minWidth: years.length * 6 }}
+                    >
+                      {years.map((year) => (
+                        <div
+                          key={year}
+                          title={String(year)}
+                          className="flex-1"
+                          style={{
+                            height: 8,
+                            marginRight: 1,
+                            backgroundColor:
+                              year >= row.begin && year <= row.end
+                                ? BURST_COLOR
+                                : dark
+                                ? "#4b5563"
+                                : "#c6dbef",
+                          }}
+                        />
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BurstPanel;
@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { OPTIONAL_FIELDS } from "./columns";
+
+// 列映射对话框：选择关键词来源列（可多选合并）及可选的标题、年份等字段
+const ColumnMappingDialog = ({
+  fields,
+  rows,
+  initialMapping,
+  formatLabel,
+  encodingLabel,
+  visualStyle,
+  onConfirm,
+  onCancel,
+}) => {
+  const [mapping, setMapping] = useState(initialMapping);
+  const dark = visualStyle === "dark";
+
+  const toggleKeywordColumn = (field) => {
+    const selected = mapping.keywordColumns.includes(field);
+    setMapping({
+      ...mapping,
+      keywordColumns: selected
+        ? mapping.keywordColumns.filter((column) => column !== field)
+        : [...mapping.keywordColumns, field],
+    });
+  };
+
+  // 预览第一条非空记录中该列的内容
+  const sampleValue = (field) => {
+    const row = rows.find(
+      (r) => r[field] !== null && r[field] !== undefined && r[field] !== ""
+    );
+    return row ? String(row[field]).slice(0, 60) : "";
+  };
+
+  const selectClassName = `p-1 border rounded w-full ${
+    dark
+      ? "bg-gray-700 border-gray-600 text-gray-200"
+      : "bg-white border-gray-300"
+  }`;
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-black bg-opacity-40">
+      <div
+        className={`w-full max-w-2xl max-h-screen overflow-auto p-6 rounded shadow-lg ${
+          dark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-800"
+        }`}
+      >
+        <h2 className="text-lg font-semibold mb-1">设置列映射</h2>
+        <p
+          className={`text-sm mb-4 ${dark ? "text-gray-400" : "text-gray-600"}`}
+        >
+          {`已识别为 ${formatLabel} 格式（${encodingLabel} 编码），共读取 ${rows.length} 条记录。请选择关键词所在的列（可多选，多列内容将合并），以及可选的其他字段。`}
+        </p>
+
+        <div className="mb-4">
+          <div className="text-sm font-medium mb-2">关键词列:</div>
+          <div
+            className={`border rounded max-h-48 overflow-auto ${
+              dark ? "border-gray-600" : "border-gray-200"
+            }`}
+          >
+            {fields.map((field) => (
+              <label
+                key={field}
+                className="flex items-center px-2 py-1 text-sm cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={mapping.keywordColumns.includes(field)}
+                  onChange={() => toggleKeywordColumn(field)}
+                  className="h-4 w-4 text-blue-600"
+                />
+                <span className="ml-2 font-medium">{field}</span>
+                <span
+                  className={`ml-2 truncate ${
+                    dark ? "text-gray-500" : "text-gray-400"
+                  }`}
+                >
+                  {sampleValue(field)}
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          {OPTIONAL_FIELDS.map(({ key, label }) => (
+            <div key={key}>
+              <label className="block text-sm font-medium mb-1">
+                {label}列:
+              </label>
+              <select
+                value={mapping[key]}
+                onChange={(e) =>
+                  setMapping({ ...mapping, [key]: e.target.value })
+                }
+                className={selectClassName}
+              >
+                <option value="">（不使用）</option>
+                {fields.map((field) => (
+                  <option key={field} value={field}>
+                    {field}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className={`px-4 py-2 rounded ${
+              dark
+                ? "bg-gray-700 hover:bg-gray-600 text-gray-200"
+                : "bg-gray-200 hover:bg-gray-300 text-gray-700"
+            }`}
+          >
+            取消
+          </button>
+          <button
+            onClick={() => onConfirm(mapping)}
+            disabled={mapping.keywordColumns.length === 0}
+            className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white font-medium disabled:opacity-50"
+          >
+            生成网络
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingDialog;
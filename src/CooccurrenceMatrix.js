@@ -0,0 +1,304 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+import Papa from "papaparse";
+import {
+  MATRIX_ORDERS,
+  MATRIX_VALUES,
+  buildCooccurrenceMatrix,
+  matrixOrder,
+  matrixRows,
+} from "./matrix";
+import { downloadCSV } from "./download";
+import { formatWeight } from "./linkWeights";
+
+// 行列标签的宽度和单元格尺寸范围，单元格小于 MIN_LABEL_CELL 时不显示标签
+const LABEL_SPACE = 150;
+const MAX_CELL = 18;
+const MIN_LABEL_CELL = 8;
+
+// 共现矩阵：网络中关键词两两之间的共现强度热图，行列可按频次、社区或层次
+// 聚类排序。关键词可能上千个，单元格用画布绘制。悬停单元格显示共现强度，
+// 点击列出同时包含两个关键词的论文
+const CooccurrenceMatrix = ({
+  nodes,
+  weightLabel,
+  counting,
+  colorOf,
+  nameOf,
+  visualStyle,
+  findPapers,
+  hasPapers,
+}) => {
+  const canvasRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const [valueType, setValueType] = useState("raw");
+  const [order, setOrder] = useState("community");
+  const [selectedPair, setSelectedPair] = useState(null); // { source, target, papers }
+  const dark = visualStyle === "dark";
+
+  // 矩阵和层次聚类都占用 O(n²) 的内存和计算，只在网络或选项变化时重新计算
+  const matrix = useMemo(
+    () => buildCooccurrenceMatrix(nodes, valueType),
+    [nodes, valueType]
+  );
+  const indices = useMemo(() => matrixOrder(matrix, order), [matrix, order]);
+
+  // 绘制和事件处理中读取的最新回调，父组件重新渲染时不重绘矩阵
+  const callbacksRef = useRef(null);
+  callbacksRef.current = { weightLabel, counting, colorOf, nameOf, findPapers };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const { nodes } = matrix;
+    const n = indices.length;
+    const available = canvas.parentNode.clientWidth || 800;
+    const cell = Math.max(
+      1,
+      Math.min(MAX_CELL, Math.floor((available - LABEL_SPACE) / Math.max(n, 1)))
+    );
+    const size = LABEL_SPACE + n * cell;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = size * ratio;
+    canvas.height = size * ratio;
+    canvas.style.width = `${size}px`;
+    canvas.style.height = `${size}px`;
+
+    const context = canvas.getContext("2d");
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, size, size);
+
+    // 共现次数通常高度偏斜，按平方根映射颜色
+    const color = d3
+      .scaleSequentialSqrt(dark ? d3.interpolateInferno : d3.interpolateBlues)
+      .domain([0, matrix.max || 1]);
+    indices.forEach((i, row) => {
+      indices.forEach((j, column) => {
+        const value = matrix.values[i * n + j];
+        if (i === j) {
+          context.fillStyle = dark ? "#374151" : "#e5e7eb";
+        } else if (value > 0) {
+          context.fillStyle = color(value);
+        } else {
+          return;
+        }
+        context.fillRect(
+          LABEL_SPACE + column * cell,
+          LABEL_SPACE + row * cell,
+          cell,
+          cell
+        );
+      });
+    });
+
+    // 行列标签旁的社区色条
+    indices.forEach((i, position) => {
+      context.fillStyle = callbacksRef.current.colorOf(nodes[i].community);
+      context.fillRect(LABEL_SPACE - 4, LABEL_SPACE + position * cell, 3, cell);
+      context.fillRect(LABEL_SPACE + position * cell, LABEL_SPACE - 4, cell, 3);
+    });
+
+    if (cell >= MIN_LABEL_CELL) {
+      context.font = `${Math.min(12, cell - 1)}px Arial, sans-serif`;
+      context.fillStyle = dark ? "#e0e0e0" : "#333";
+      context.textAlign = "right";
+      context.textBaseline = "middle";
+      indices.forEach((i, position) => {
+        const offset = LABEL_SPACE + (position + 0.5) * cell;
+        context.fillText(
+          nodes[i].id,
+          LABEL_SPACE - 8,
+          offset,
+          LABEL_SPACE - 10
+        );
+        context.save();
+        context.translate(offset, LABEL_SPACE - 8);
+        context.rotate(-Math.PI / 2);
+        context.textAlign = "left";
+        context.fillText(nodes[i].id, 0, 0, LABEL_SPACE - 10);
+        context.restore();
+      });
+    }
+
+    // 鼠标下的单元格（对角线和标签区域返回 null）
+    const pairAt = (event) => {
+      const [x, y] = d3.pointer(event, canvas);
+      const row = Math.floor((y - LABEL_SPACE) / cell);
+      const column = Math.floor((x - LABEL_SPACE) / cell);
+      if (row < 0 || column < 0 || row >= n || column >= n) return null;
+      if (row === column) return null;
+      return [nodes[indices[row]], nodes[indices[column]]];
+    };
+
+    const tooltip = d3.select(tooltipRef.current);
+    d3.select(canvas)
+      .on("mousemove", (event) => {
+        const pair = pairAt(event);
+        if (!pair) {
+          tooltip.style("display", "none");
+          return;
+        }
+        const [source, target] = pair;
+        const { weightLabel, counting, nameOf } = callbacksRef.current;
+        const connection = source.connections.find(
+          (c) => c.keyword === target.id
+        );
+        const strength = connection ? connection.strength : 0;
+        const weight = connection ? connection.weight : 0;
+        // 分数计数下的共现值不是次数；标准化权重与共现值不同时另列一行
+        const cooccurrence =
+          counting === "full"
+            ? `共现 ${strength} 次`
+            : `共现权重 ${formatWeight(strength)}`;
+        const communities = [source, target]
+          .map((d) => nameOf(d.community))
+          .join(" / ");
+        // 提示框与画布位于同一个滚动容器中，按画布坐标定位
+        const [x, y] = d3.pointer(event, canvas);
+        tooltip
+          .style("display", "block")
+          .style("left", `${x + 12}px`)
+          .style("top", `${y + 12}px`).html(`
+            <div class="font-medium">${source.id} × ${target.id}</div>
+            <div>${cooccurrence}</div>
+            ${
+              weight === strength
+                ? ""
+                : `<div>${weightLabel} ${formatWeight(weight)}</div>`
+            }
+            <div>社区: ${communities}</div>
+          `);
+      })
+      .on("mouseleave", () => tooltip.style("display", "none"))
+      .on("click", (event) => {
+        const pair = pairAt(event);
+        if (!pair) return;
+        const [source, target] = pair;
+        setSelectedPair({
+          source: source.id,
+          target: target.id,
+          papers: callbacksRef.current.findPapers(source.id, target.id),
+        });
+      });
+  }, [matrix, indices, dark]);
+
+  const exportCSV = () => {
+    downloadCSV(
+      Papa.unparse(matrixRows(matrix, indices)),
+      "cooccurrence_matrix.csv"
+    );
+  };
+
+  const inputClassName = `p-1 border rounded text-sm ${
+    dark
+      ? "bg-gray-700 border-gray-600 text-gray-200"
+      : "bg-white border-gray-300"
+  }`;
+  const buttonClassName = `px-3 py-1 text-sm rounded border ${
+    dark
+      ? "border-gray-600 hover:bg-gray-700"
+      : "border-gray-300 hover:bg-gray-100"
+  }`;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+        <label className="flex items-center gap-1 font-medium">
+          单元格数值
+          <select
+            value={valueType}
+            onChange={(e) => setValueType(e.target.value)}
+            className={inputClassName}
+          >
+            {Object.entries(MATRIX_VALUES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {key === "normalized" ? `${label}（${weightLabel}）` : label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1 font-medium">
+          行列顺序
+          <select
+            value={order}
+            onChange={(e) => setOrder(e.target.value)}
+            className={inputClassName}
+          >
+            {Object.entries(MATRIX_ORDERS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className={dark ? "text-gray-400" : "text-gray-600"}>
+          {nodes.length} × {nodes.length} 个关键词
+        </span>
+        <button onClick={exportCSV} className={`${buttonClassName} ml-auto`}>
+          导出CSV
+        </button>
+      </div>
+
+      <div
+        className={`relative border rounded overflow-auto ${
+          dark ? "border-gray-700 bg-gray-900" : "border-gray-200 bg-white"
+        }`}
+        style={{ maxHeight: 800 }}
+      >
+        <canvas ref={canvasRef} className="block cursor-pointer"></canvas>
+        <div
+          ref={tooltipRef}
+          className={`absolute p-2 rounded shadow text-xs pointer-events-none ${
+            dark ? "bg-gray-800 text-gray-200" : "bg-white text-gray-800"
+          }`}
+          style={{ display: "none" }}
+        ></div>
+      </div>
+
+      {selectedPair && (
+        <div
+          className={`mt-3 p-3 border rounded text-sm ${
+            dark ? "border-gray-700" : "border-gray-200"
+          }`}
+        >
+          <div className="flex items-center mb-2">
+            <span className="font-medium">
+              同时包含“{selectedPair.source}”和“{selectedPair.target}”的论文（
+              {selectedPair.papers.length} 篇）
+            </span>
+            <button
+              onClick={() => setSelectedPair(null)}
+              className={`${buttonClassName} ml-auto`}
+            >
+              关闭
+            </button>
+          </div>
+          {selectedPair.papers.length === 0 ? (
+            <div className={dark ? "text-gray-400" : "text-gray-600"}>
+              {hasPapers
+                ? "没有论文同时包含这两个关键词"
+                : "没有找到论文记录（导入的网络文件不包含论文）"}
+            </div>
+          ) : (
+            <ol
+              className="list-decimal pl-6 overflow-auto"
+              style={{ maxHeight: 300 }}
+            >
+              {selectedPair.papers.map((paper, i) => (
+                <li key={i}>
+                  {paper.Title || "（无标题）"}
+                  <span className={dark ? "text-gray-400" : "text-gray-600"}>
+                    {paper.Year ? ` · ${paper.Year}` : ""}
+                    {paper.Source ? ` · ${paper.Source}` : ""}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CooccurrenceMatrix;
@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useRef } from "react";
+import * as d3 from "d3";
+import { MIN_PERIODS, MAX_PERIODS, defaultPeriods } from "./evolution";
+import { formatPeriod } from "./timeSlice";
+import NumberInput from "./NumberInput";
+
+const HEIGHT = 520;
+const MARGIN = { top: 40, right: 20, bottom: 20, left: 20 };
+const NODE_WIDTH = 14;
+const NODE_PADDING = 12;
+
+const flowKey = (flow) => `${flow.source.id}>${flow.target.id}`;
+
+// 主题演化桑基图：每列为一个时期，每个矩形为该时期的一个主题（社区），
+// 高度表示主题包含的关键词数，流带宽度表示相邻时期主题之间共享的关键词数
+const EvolutionView = ({
+  evolution,
+  yearRange,
+  periods,
+  colors,
+  visualStyle,
+  onPeriodsChange,
+}) => {
+  const svgRef = useRef(null);
+  const [selectedFlow, setSelectedFlow] = useState(null);
+  const dark = visualStyle === "dark";
+  const inputClassName = `p-1 border rounded text-sm ${
+    dark
+      ? "bg-gray-700 border-gray-600 text-gray-200"
+      : "bg-white border-gray-300"
+  }`;
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (!evolution) return;
+
+    const width = svgRef.current.clientWidth || 800;
+    svg.attr("viewBox", [0, 0, width, HEIGHT]);
+
+    const { themesByPeriod, flows } = evolution;
+    const columnCount = themesByPeriod.length;
+    const innerHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const columnGap =
+      columnCount > 1
+        ? (width - MARGIN.left - MARGIN.right - NODE_WIDTH) / (columnCount - 1)
+        : 0;
+
+    // 所有时期共用一个纵向比例，使矩形高度在时期之间可比
+    const unit = d3.min(themesByPeriod, (themes) => {
+      const total = d3.sum(themes, (theme) => theme.keywords.length);
+      const padding = Math.max(0, themes.length - 1) * NODE_PADDING;
+      return total > 0 ? (innerHeight - padding) / total : Infinity;
+    });
+    const scale = Number.isFinite(unit) ? unit : 0;
+
+    const layout = new Map();
+    themesByPeriod.forEach((themes, i) => {
+      let y = MARGIN.top;
+      themes.forEach((theme) => {
+        const height = theme.keywords.length * scale;
+        layout.set(theme.id, {
+          x: MARGIN.left + i * columnGap,
+          y,
+          height,
+          outOffset: 0,
+          inOffset: 0,
+        });
+        y += height + NODE_PADDING;
+      });
+    });
+
+    // 流带在两端按对侧主题的纵向位置依次堆叠，避免交叉
+    const sortedFlows = [...flows].sort(
+      (a, b) =>
+        layout.get(a.source.id).y - layout.get(b.source.id).y ||
+        layout.get(a.target.id).y - layout.get(b.target.id).y
+    );
+    const flowBands = sortedFlows.map((flow) => {
+      const source = layout.get(flow.source.id);
+      const thickness = flow.keywords.length * scale;
+      const y0 = source.y + source.outOffset;
+      source.outOffset += thickness;
+      return { flow, y0, thickness };
+    });
+    [...flowBands]
+      .sort(
+        (a, b) =>
+          layout.get(a.flow.target.id).y - layout.get(b.flow.target.id).y ||
+          layout.get(a.flow.source.id).y - layout.get(b.flow.source.id).y
+      )
+      .forEach((band) => {
+        const target = layout.get(band.flow.target.id);
+        band.y1 = target.y + target.inOffset;
+        target.inOffset += band.thickness;
+      });
+
+    const colorOf = (theme) => colors[theme.community % colors.length];
+    const selectedKey = selectedFlow && flowKey(selectedFlow);
+
+    // 时期标题
+    svg
+      .append("g")
+      .selectAll("text")
+      .data(evolution.periods)
+      .join("text")
+      .attr("x", (d, i) => MARGIN.left + i * columnGap + NODE_WIDTH / 2)
+      .attr("y", MARGIN.top - 16)
+      .attr("text-anchor", (d, i) =>
+        columnCount === 1
+          ? "start"
+          : i === 0
+          ? "start"
+          : i === columnCount - 1
+          ? "end"
+          : "middle"
+      )
+      .attr("font-family", "'Arial', sans-serif")
+      .attr("font-size", 13)
+      .attr("font-weight", 600)
+      .attr("fill", dark ? "#e0e0e0" : "#333")
+      .text((d) => formatPeriod(d));
+
+    // 流带
+    svg
+      .append("g")
+      .selectAll("path")
+      .data(flowBands)
+      .join("path")
+      .attr("d", (band) => {
+        const x0 = layout.get(band.flow.source.id).x + NODE_WIDTH;
+        const x1 = layout.get(band.flow.target.id).x;
+        const xm = (x0 + x1) / 2;
+        const { y0, y1, thickness } = band;
+        return `M${x0},${y0}C${xm},${y0} ${xm},${y1} ${x1},${y1}L${x1},${
+          y1 + thickness
+        }C${xm},${y1 + thickness} ${xm},${y0 + thickness} ${x0},${
+          y0 + thickness
+        }Z`;
+      })
+      .attr("fill", (band) => colorOf(band.flow.source))
+      .attr("fill-opacity", (band) =>
+        selectedKey === null
+          ? 0.35
+          : flowKey(band.flow) === selectedKey
+          ? 0.8
+          : 0.15
+      )
+      .style("cursor", "pointer")
+      .on("click", (event, band) => {
+        setSelectedFlow(flowKey(band.flow) === selectedKey ? null : band.flow);
+      })
+      .append("title")
+      .text(
+        (band) =>
+          `${band.flow.source.label} → ${band.flow.target.label}\n共享关键词 ${
+            band.flow.keywords.length
+          } 个，包含指数 ${band.flow.inclusion.toFixed(2)}`
+      );
+
+    // 主题矩形和标签
+    const themes = themesByPeriod.flat();
+    const theme = svg
+      .append("g")
+      .selectAll("g")
+      .data(themes)
+      .join("g")
+      .attr(
+        "transform",
+        (d) => `translate(${layout.get(d.id).x},${layout.get(d.id).y})`
+      );
+
+    theme
+      .append("rect")
+      .attr("width", NODE_WIDTH)
+      .attr("height", (d) => Math.max(1, layout.get(d.id).height))
+      .attr("fill", colorOf)
+      .attr("rx", 2)
+      .append("title")
+      .text(
+        (d) =>
+          `${d.label}\n${d.keywords.length} 个关键词，总频次 ${d.frequency}`
+      );
+
+    theme
+      .append("text")
+      .attr("x", (d) =>
+        d.period === columnCount - 1 && columnCount > 1 ? -6 : NODE_WIDTH + 6
+      )
+      .attr("y", (d) => layout.get(d.id).height / 2)
+      .attr("dy", "0.35em")
+      .attr("text-anchor", (d) =>
+        d.period === columnCount - 1 && columnCount > 1 ? "end" : "start"
+      )
+      .attr("font-family", "'Arial', sans-serif")
+      .attr("font-size", 11)
+      .attr("fill", dark ? "#e0e0e0" : "#333")
+      .attr("stroke", dark ? "#1f2937" : "#ffffff")
+      .attr("stroke-width", 3)
+      .attr("paint-order", "stroke")
+      .style("pointer-events", "none")
+      .text((d) => d.label);
+  }, [evolution, colors, dark, selectedFlow]);
+
+  // 时期划分变化后原来选中的流带不再有效
+  useEffect(() => {
+    setSelectedFlow(null);
+  }, [evolution]);
+
+  if (!yearRange) {
+    return (
+      <div className={`text-sm ${dark ? "text-gray-400" : "text-gray-500"}`}>
+        当前数据没有年份信息，无法划分时期。请在导入时映射年份列。
+      </div>
+    );
+  }
+
+  // 时期的起止年份可取的范围：起始不晚于结束，且各时期依次排列、互不重叠
+  const periodBounds = (index, position) => {
+    const [start, end] = periods[index];
+    if (position === 0) {
+      return [index > 0 ? periods[index - 1][1] + 1 : yearRange[0], end];
+    }
+    return [
+      start,
+      index < periods.length - 1 ? periods[index + 1][0] - 1 : yearRange[1],
+    ];
+  };
+
+  const updatePeriod = (index, position, value) => {
+    const [min, max] = periodBounds(index, position);
+    const year = Math.min(Math.max(value, min), max);
+    onPeriodsChange(
+      periods.map((period, i) => {
+        if (i !== index) return period;
+        const next = [...period];
+        next[position] = year;
+        return next;
+      })
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+        <label className="flex items-center gap-1 font-medium">
+          时期数
+          <select
+            value={periods.length}
+            onChange={(e) =>
+              onPeriodsChange(defaultPeriods(yearRange, Number(e.target.value)))
+            }
+            className={inputClassName}
+          >
+            {d3.range(MIN_PERIODS, MAX_PERIODS + 1).map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
+        {periods.map((period, i) => (
+          <span key={i} className="flex items-center gap-1">
+            时期{i + 1}:
+            {[0, 1].map((position) => (
+              <NumberInput
+                key={position}
+                min={periodBounds(i, position)[0]}
+                max={periodBounds(i, position)[1]}
+                value={period[position]}
+                onCommit={(year) => updatePeriod(i, position, year)}
+                className={`${inputClassName} w-20`}
+              />
+            ))}
+          </span>
+        ))}
+      </div>
+
+      <svg
+        ref={svgRef}
+        width="100%"
+        height={HEIGHT}
+        className={`border rounded ${dark ? "bg-gray-900" : "bg-white"}`}
+      ></svg>
+
+      <div
+        className={`mt-3 p-3 border rounded text-sm ${
+          dark ? "border-gray-700" : "border-gray-200"
+        }`}
+      >
+        {selectedFlow ? (
+          <>
+            <div className="font-medium mb-2">
+              {selectedFlow.source.label}（
+              {formatPeriod(evolution.periods[selectedFlow.source.period])}）→{" "}
+              {selectedFlow.target.label}（
+              {formatPeriod(evolution.periods[selectedFlow.target.period])}）：
+              共享 {selectedFlow.keywords.length} 个关键词，包含指数{" "}
+              {selectedFlow.inclusion.toFixed(2)}
+            </div>
+            <div>
+              {selectedFlow.keywords.map((keyword) => (
+                <span
+                  key={keyword}
+                  className={`inline-block px-2 mr-1 mb-1 rounded ${
+                    dark ? "bg-gray-700" : "bg-blue-50 text-blue-800"
+                  }`}
+                >
+                  {keyword}
+                </span>
+              ))}
+            </div>
+          </>
+        ) : (
+          <span className={dark ? "text-gray-400" : "text-gray-500"}>
+            点击流带可查看从一个主题延续到下一个主题的关键词。
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EvolutionView;
@@ -0,0 +1,265 @@
+import React, { useMemo, useState } from "react";
+import {
+  FIGURE_FORMATS,
+  FIGURE_WIDTHS,
+  FIGURE_DPIS,
+  FIGURE_BACKGROUNDS,
+  FIGURE_FONTS,
+  readFontFile,
+} from "./figureExport";
+
+const MM_PER_INCH = 25.4;
+
+// 图片导出对话框：物理尺寸、分辨率、背景、字体以及是否包含图例和水印
+const FigureExportDialog = ({
+  initialOptions,
+  aspectRatio,
+  visualStyle,
+  rasterizesPDF,
+  onExport,
+  onCancel,
+}) => {
+  const [options, setOptions] = useState(initialOptions);
+  const [customWidth, setCustomWidth] = useState(
+    !FIGURE_WIDTHS.some((w) => w.value === initialOptions.widthMm)
+  );
+  const [customFont, setCustomFont] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const dark = visualStyle === "dark";
+
+  const update = (changes) => setOptions({ ...options, ...changes });
+
+  const widthMm = options.widthMm || FIGURE_WIDTHS[0].value;
+  const heightMm = options.heightMm || widthMm * aspectRatio;
+  const pixels = (mm) => Math.round((mm / MM_PER_INCH) * options.dpi);
+  const vector = options.format === "svg" || options.format === "pdf";
+  // 检查需要读取完整的网络图，只在选项或字体变化时重新计算
+  const rasterPDF = useMemo(
+    () => options.format === "pdf" && rasterizesPDF(options, customFont),
+    [options, customFont, rasterizesPDF]
+  );
+
+  const handleFontUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    readFontFile(file)
+      .then(setCustomFont)
+      .catch((err) => setError(`读取字体文件时出错: ${err.message}`));
+  };
+
+  const handleExport = () => {
+    setExporting(true);
+    setError(null);
+    // 导出过程中的同步异常也要恢复按钮状态
+    Promise.resolve()
+      .then(() => onExport({ ...options, widthMm }, customFont))
+      .catch((err) => setError(`导出失败: ${err.message}`))
+      .finally(() => setExporting(false));
+  };
+
+  const inputClassName = `p-1 border rounded w-full ${
+    dark
+      ? "bg-gray-700 border-gray-600 text-gray-200"
+      : "bg-white border-gray-300"
+  }`;
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-black bg-opacity-40">
+      <div
+        className={`w-full max-w-xl max-h-screen overflow-auto p-6 rounded shadow-lg ${
+          dark ? "bg-gray-800 text-gray-100" : "bg-white text-gray-800"
+        }`}
+      >
+        <h2 className="text-lg font-semibold mb-4">导出图片</h2>
+
+        <div className="grid grid-cols-2 gap-4 mb-4 text-sm">
+          <div>
+            <label className="block font-medium mb-1">格式:</label>
+            <select
+              value={options.format}
+              onChange={(e) => update({ format: e.target.value })}
+              className={inputClassName}
+            >
+              {Object.entries(FIGURE_FORMATS).map(([format, label]) => (
+                <option key={format} value={format}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">分辨率 (DPI):</label>
+            <select
+              value={options.dpi}
+              onChange={(e) => update({ dpi: Number(e.target.value) })}
+              disabled={options.format === "svg"}
+              className={inputClassName}
+            >
+              {FIGURE_DPIS.map((dpi) => (
+                <option key={dpi} value={dpi}>
+                  {dpi}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">宽度:</label>
+            <select
+              value={customWidth ? "custom" : widthMm}
+              onChange={(e) => {
+                if (e.target.value === "custom") {
+                  setCustomWidth(true);
+                } else {
+                  setCustomWidth(false);
+                  update({ widthMm: Number(e.target.value) });
+                }
+              }}
+              className={inputClassName}
+            >
+              {FIGURE_WIDTHS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+              <option value="custom">自定义</option>
+            </select>
+            {customWidth && (
+              <input
+                type="number"
+                min={20}
+                max={500}
+                value={widthMm}
+                onChange={(e) =>
+                  update({ widthMm: Math.max(1, Number(e.target.value) || 0) })
+                }
+                className={`${inputClassName} mt-1`}
+              />
+            )}
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">高度 (mm):</label>
+            <input
+              type="number"
+              min={20}
+              max={500}
+              value={options.heightMm || ""}
+              placeholder={`自动 (${heightMm.toFixed(0)})`}
+              onChange={(e) =>
+                update({ heightMm: Number(e.target.value) || null })
+              }
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">背景:</label>
+            <select
+              value={options.background}
+              onChange={(e) => update({ background: e.target.value })}
+              className={inputClassName}
+            >
+              {Object.entries(FIGURE_BACKGROUNDS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">字体:</label>
+            <select
+              value={options.font}
+              onChange={(e) => update({ font: e.target.value })}
+              className={inputClassName}
+            >
+              {Object.entries(FIGURE_FONTS).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {options.font === "embedded" && (
+              <input
+                type="file"
+                accept=".ttf,.otf,.woff,.woff2"
+                onChange={handleFontUpload}
+                className="mt-1 text-xs w-full"
+              />
+            )}
+          </div>
+        </div>
+
+        <div className="flex gap-6 mb-4 text-sm">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={options.includeLegend}
+              onChange={(e) => update({ includeLegend: e.target.checked })}
+              className="mr-2"
+            />
+            包含图例
+          </label>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={options.includeWatermark}
+              onChange={(e) => update({ includeWatermark: e.target.checked })}
+              className="mr-2"
+            />
+            包含水印
+          </label>
+        </div>
+
+        <p
+          className={`text-sm mb-4 ${dark ? "text-gray-400" : "text-gray-600"}`}
+        >
+          {`成品尺寸 ${widthMm.toFixed(0)} × ${heightMm.toFixed(0)} mm`}
+          {!vector &&
+            `，${pixels(widthMm)} × ${pixels(heightMm)} 像素 @ ${
+              options.dpi
+            } DPI`}
+          。
+          {options.font === "embedded" &&
+            (customFont
+              ? `将嵌入字体 ${customFont.name}。`
+              : "请选择要嵌入的字体文件。")}
+        </p>
+
+        {rasterPDF && (
+          <div className="text-amber-600 text-sm mb-4">
+            {`图中的文字（图例、水印或关键词）含有中文等非拉丁字符，PDF将按 ${options.dpi} DPI 嵌入位图。需要嵌入TrueType (.ttf) 字体才能保持为矢量文字。`}
+          </div>
+        )}
+
+        {error && <div className="text-red-600 text-sm mb-4">{error}</div>}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className={`px-4 py-2 rounded ${
+              dark
+                ? "bg-gray-700 hover:bg-gray-600 text-gray-200"
+                : "bg-gray-200 hover:bg-gray-300 text-gray-700"
+            }`}
+          >
+            取消
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={exporting || (options.font === "embedded" && !customFont)}
+            className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-700 text-white font-medium disabled:opacity-50"
+          >
+            {exporting ? "导出中..." : "导出"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FigureExportDialog;
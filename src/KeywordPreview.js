@@ -0,0 +1,55 @@
+import React from "react";
+
+// 关键词解析预览：逐条显示原始关键词字段及按当前规则得到的关键词
+const KeywordPreview = ({ rows, visualStyle }) => {
+  const dark = visualStyle === "dark";
+
+  return (
+    <div
+      className={`mt-3 border rounded max-h-80 overflow-auto text-sm ${
+        dark ? "border-gray-600" : "border-gray-200"
+      }`}
+    >
+      <table className="w-full">
+        <thead>
+          <tr className={dark ? "bg-gray-700" : "bg-gray-100"}>
+            <th className="px-2 py-1 text-left w-10">#</th>
+            <th className="px-2 py-1 text-left">原始字段</th>
+            <th className="px-2 py-1 text-left">解析结果</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr
+              key={i}
+              className={`border-t align-top ${
+                dark ? "border-gray-700" : "border-gray-100"
+              }`}
+            >
+              <td className="px-2 py-1 opacity-60">{i + 1}</td>
+              <td className="px-2 py-1 break-all">{row.raw}</td>
+              <td className="px-2 py-1">
+                {row.keywords.length === 0 ? (
+                  <span className="opacity-60">（无关键词）</span>
+                ) : (
+                  row.keywords.map((keyword) => (
+                    <span
+                      key={keyword}
+                      className={`inline-block px-2 mr-1 mb-1 rounded ${
+                        dark ? "bg-gray-700" : "bg-blue-50 text-blue-800"
+                      }`}
+                    >
+                      {keyword}
+                    </span>
+                  ))
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default KeywordPreview;
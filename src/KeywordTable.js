@@ -0,0 +1,229 @@
+import React, { useState } from "react";
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import { downloadCSV } from "./download";
+
+const PAGE_SIZE = 100;
+
+// 可排序的列：取值函数决定排序依据
+const COLUMNS = [
+  { key: "keyword", label: "关键词", value: (row) => row.keyword },
+  { key: "count", label: "频次", value: (row) => row.count },
+  { key: "percentage", label: "占比(%)", value: (row) => row.percentage },
+  { key: "degree", label: "共现词数", value: (row) => row.degree },
+  {
+    key: "community",
+    label: "社区",
+    value: (row) => (row.community === undefined ? Infinity : row.community),
+  },
+  { key: "topTerms", label: "主要共现词", value: (row) => row.topTerms },
+];
+
+const formatTopTerms = (connections) =>
+  connections
+    .slice(0, 3)
+    .map((c) => `${c.keyword} (${Number(c.strength.toFixed(3))})`)
+    .join("、");
+
+// 关键词表：列出全部关键词，支持排序、筛选、点击定位节点和导出
+const KeywordTable = ({
+  keywordData,
+  nodes,
+  selectedNode,
+  visualStyle,
+  onSelect,
+}) => {
+  const [sortKey, setSortKey] = useState("count");
+  const [sortAscending, setSortAscending] = useState(false);
+  const [filter, setFilter] = useState("");
+  const [page, setPage] = useState(0);
+  const dark = visualStyle === "dark";
+
+  const communityOf = new Map(nodes.map((node) => [node.id, node.community]));
+
+  const rows = keywordData.map((item) => ({
+    keyword: item.keyword,
+    count: item.count,
+    percentage: item.percentage,
+    degree: item.connections.length,
+    community: communityOf.get(item.keyword),
+    topTerms: formatTopTerms(item.connections),
+  }));
+
+  const query = filter.trim().toLowerCase();
+  const column = COLUMNS.find((c) => c.key === sortKey);
+  const visibleRows = rows
+    .filter(
+      (row) =>
+        query.length === 0 ||
+        row.keyword.toLowerCase().includes(query) ||
+        row.topTerms.toLowerCase().includes(query)
+    )
+    .sort((a, b) => {
+      const va = column.value(a);
+      const vb = column.value(b);
+      const order =
+        typeof va === "string" ? va.localeCompare(vb, "zh") : va - vb;
+      return sortAscending ? order : -order;
+    });
+
+  const pageCount = Math.max(1, Math.ceil(visibleRows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = visibleRows.slice(
+    currentPage * PAGE_SIZE,
+    (currentPage + 1) * PAGE_SIZE
+  );
+
+  const toggleSort = (key) => {
+    if (key === sortKey) {
+      setSortAscending(!sortAscending);
+    } else {
+      setSortKey(key);
+      setSortAscending(key === "keyword");
+    }
+  };
+
+  // 导出当前筛选和排序后的全部行
+  const exportRows = () =>
+    visibleRows.map((row) => ({
+      关键词: row.keyword,
+      频次: row.count,
+      "占比(%)": Number(row.percentage.toFixed(2)),
+      共现词数: row.degree,
+      社区: row.community === undefined ? "" : row.community,
+      主要共现词: row.topTerms,
+    }));
+
+  const exportCSV = () => {
+    downloadCSV(Papa.unparse(exportRows()), "keywords.csv");
+  };
+
+  const exportXLSX = () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.json_to_sheet(exportRows()),
+      "关键词"
+    );
+    XLSX.writeFile(workbook, "keywords.xlsx");
+  };
+
+  const buttonClassName = `px-3 py-1 text-sm rounded border ${
+    dark
+      ? "border-gray-600 hover:bg-gray-700"
+      : "border-gray-300 hover:bg-gray-100"
+  }`;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => {
+            setFilter(e.target.value);
+            setPage(0);
+          }}
+          placeholder="筛选关键词或共现词"
+          className={`p-1 border rounded w-64 text-sm ${
+            dark
+              ? "bg-gray-700 border-gray-600 text-gray-200"
+              : "bg-white border-gray-300"
+          }`}
+        />
+        <span className={`text-sm ${dark ? "text-gray-400" : "text-gray-600"}`}>
+          共 {visibleRows.length} 个关键词
+        </span>
+        <div className="flex gap-2 ml-auto">
+          <button onClick={exportCSV} className={buttonClassName}>
+            导出CSV
+          </button>
+          <button onClick={exportXLSX} className={buttonClassName}>
+            导出XLSX
+          </button>
+        </div>
+      </div>
+
+      <div
+        className={`border rounded overflow-auto text-sm ${
+          dark ? "border-gray-700" : "border-gray-200"
+        }`}
+        style={{ maxHeight: 600 }}
+      >
+        <table className="w-full">
+          <thead>
+            <tr className={dark ? "bg-gray-700" : "bg-gray-100"}>
+              {COLUMNS.map((c) => (
+                <th
+                  key={c.key}
+                  onClick={() => toggleSort(c.key)}
+                  className="px-2 py-1 text-left cursor-pointer select-none whitespace-nowrap"
+                >
+                  {c.label}
+                  {c.key === sortKey ? (sortAscending ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map((row) => (
+              <tr
+                key={row.keyword}
+                onClick={() => onSelect(row.keyword)}
+                title={
+                  row.community === undefined
+                    ? "该关键词不在当前网络图中"
+                    : "点击在网络图中定位"
+                }
+                className={`border-t cursor-pointer ${
+                  dark
+                    ? "border-gray-700 hover:bg-gray-700"
+                    : "border-gray-100 hover:bg-blue-50"
+                } ${
+                  row.keyword === selectedNode
+                    ? dark
+                      ? "bg-gray-700"
+                      : "bg-blue-100"
+                    : ""
+                }`}
+              >
+                <td className="px-2 py-1 font-medium">{row.keyword}</td>
+                <td className="px-2 py-1">{row.count}</td>
+                <td className="px-2 py-1">{row.percentage.toFixed(2)}</td>
+                <td className="px-2 py-1">{row.degree}</td>
+                <td className="px-2 py-1">
+                  {row.community === undefined ? "—" : row.community}
+                </td>
+                <td className="px-2 py-1 opacity-80">{row.topTerms}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-end gap-2 mt-2 text-sm">
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className={`${buttonClassName} disabled:opacity-50`}
+          >
+            上一页
+          </button>
+          <span>
+            {currentPage + 1} / {pageCount}
+          </span>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage === pageCount - 1}
+            className={`${buttonClassName} disabled:opacity-50`}
+          >
+            下一页
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeywordTable;
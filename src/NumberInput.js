@@ -0,0 +1,31 @@
+import React, { useState } from "react";
+
+// 数字输入框：输入过程中保留原始文本，失去焦点或按回车时才提交数值，
+// 由 onCommit(number) 负责限制范围。内容为空或不是数字时恢复原值
+const NumberInput = ({ value, onCommit, ...props }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const number = Number(draft);
+    if (draft.trim() !== "" && Number.isFinite(number) && number !== value) {
+      onCommit(number);
+    }
+    setDraft(null);
+  };
+
+  return (
+    <input
+      {...props}
+      type="number"
+      value={draft === null ? value : draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.target.blur();
+      }}
+    />
+  );
+};
+
+export default NumberInput;
@@ -0,0 +1,41 @@
+import React from "react";
+
+// 分析线程的任务进度：当前阶段、进度条和取消按钮
+const ProgressBar = ({ progress, visualStyle, onCancel }) => {
+  const dark = visualStyle === "dark";
+  const fraction =
+    progress.total > 0 ? Math.min(1, progress.done / progress.total) : 0;
+
+  return (
+    <div
+      className={`mb-4 p-3 rounded border flex items-center gap-3 text-sm ${
+        dark ? "bg-gray-800 border-gray-700" : "bg-blue-50 border-blue-200"
+      }`}
+    >
+      <span className="whitespace-nowrap">{progress.phase}...</span>
+      <div
+        className={`flex-1 h-2 rounded overflow-hidden ${
+          dark ? "bg-gray-700" : "bg-blue-100"
+        }`}
+      >
+        <div
+          className="h-full bg-blue-600"
+          style={{ width: `${fraction * 100}%` }}
+        ></div>
+      </div>
+      <span className="w-10 text-right">{Math.round(fraction * 100)}%</span>
+      <button
+        onClick={onCancel}
+        className={`px-3 py-1 rounded ${
+          dark
+            ? "bg-gray-700 hover:bg-gray-600 text-gray-200"
+            : "bg-white hover:bg-gray-100 border border-gray-300 text-gray-700"
+        }`}
+      >
+        取消
+      </button>
+    </div>
+  );
+};
+
+export default ProgressBar;
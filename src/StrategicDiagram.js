@@ -0,0 +1,215 @@
+import React, { useEffect, useRef } from "react";
+import * as d3 from "d3";
+import { QUADRANTS, computeStrategicThemes } from "./strategic";
+
+const HEIGHT = 560;
+const MARGIN = { top: 30, right: 30, bottom: 50, left: 60 };
+
+// 四个象限标签的位置（以绘图区比例表示）
+const QUADRANT_POSITIONS = {
+  motor: { x: 1, y: 0, anchor: "end" },
+  niche: { x: 0, y: 0, anchor: "start" },
+  emerging: { x: 0, y: 1, anchor: "start" },
+  basic: { x: 1, y: 1, anchor: "end" },
+};
+
+// 战略坐标图：横轴为中心度，纵轴为密度，气泡大小为主题关键词总频次，
+// 点击气泡在网络图中只显示该社区
+const StrategicDiagram = ({
+  nodes,
+  links,
+  colorOf,
+  nameOf,
+  visualStyle,
+  onSelectCommunity,
+}) => {
+  const svgRef = useRef(null);
+  const dark = visualStyle === "dark";
+  const { themes, centralityMedian, densityMedian } = computeStrategicThemes(
+    nodes,
+    links
+  );
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (themes.length === 0) return;
+
+    const width = svgRef.current.clientWidth || 800;
+    svg.attr("viewBox", [0, 0, width, HEIGHT]);
+    const textColor = dark ? "#e0e0e0" : "#333";
+    const axisColor = dark ? "#707080" : "#999";
+
+    // 坐标轴以中位数为中心对称展开，使象限分界线位于图的中央
+    const symmetricDomain = (values, center) => {
+      const spread = d3.max(values, (v) => Math.abs(v - center)) || 1;
+      return [center - spread * 1.15, center + spread * 1.15];
+    };
+    const x = d3
+      .scaleLinear()
+      .domain(
+        symmetricDomain(
+          themes.map((t) => t.centrality),
+          centralityMedian
+        )
+      )
+      .range([MARGIN.left, width - MARGIN.right]);
+    const y = d3
+      .scaleLinear()
+      .domain(
+        symmetricDomain(
+          themes.map((t) => t.density),
+          densityMedian
+        )
+      )
+      .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+    const radius = d3
+      .scaleSqrt()
+      .domain([0, d3.max(themes, (t) => t.frequency)])
+      .range([0, 40]);
+
+    // 象限分界线
+    svg
+      .append("line")
+      .attr("x1", x(centralityMedian))
+      .attr("x2", x(centralityMedian))
+      .attr("y1", MARGIN.top)
+      .attr("y2", HEIGHT - MARGIN.bottom)
+      .attr("stroke", axisColor)
+      .attr("stroke-dasharray", "4,3");
+    svg
+      .append("line")
+      .attr("x1", MARGIN.left)
+      .attr("x2", width - MARGIN.right)
+      .attr("y1", y(densityMedian))
+      .attr("y2", y(densityMedian))
+      .attr("stroke", axisColor)
+      .attr("stroke-dasharray", "4,3");
+
+    // 象限名称
+    svg
+      .append("g")
+      .selectAll("text")
+      .data(Object.entries(QUADRANT_POSITIONS))
+      .join("text")
+      .attr("x", ([, p]) =>
+        p.x === 0 ? MARGIN.left + 8 : width - MARGIN.right - 8
+      )
+      .attr("y", ([, p]) =>
+        p.y === 0 ? MARGIN.top + 16 : HEIGHT - MARGIN.bottom - 8
+      )
+      .attr("text-anchor", ([, p]) => p.anchor)
+      .attr("font-family", "'Arial', sans-serif")
+      .attr("font-size", 13)
+      .attr("font-weight", 600)
+      .attr("fill", dark ? "#606070" : "#b0b0b0")
+      .text(([quadrant]) => QUADRANTS[quadrant].label);
+
+    // 坐标轴
+    svg
+      .append("g")
+      .attr("transform", `translate(0,${HEIGHT - MARGIN.bottom})`)
+      .call(d3.axisBottom(x).ticks(6))
+      .call((g) => g.selectAll("text").attr("fill", textColor))
+      .call((g) => g.selectAll("line,path").attr("stroke", axisColor));
+    svg
+      .append("g")
+      .attr("transform", `translate(${MARGIN.left},0)`)
+      .call(d3.axisLeft(y).ticks(6))
+      .call((g) => g.selectAll("text").attr("fill", textColor))
+      .call((g) => g.selectAll("line,path").attr("stroke", axisColor));
+
+    svg
+      .append("text")
+      .attr("x", (MARGIN.left + width - MARGIN.right) / 2)
+      .attr("y", HEIGHT - 12)
+      .attr("text-anchor", "middle")
+      .attr("font-family", "'Arial', sans-serif")
+      .attr("font-size", 12)
+      .attr("fill", textColor)
+      .text("中心度（与其他主题的连线权重之和）");
+    svg
+      .append("text")
+      .attr(
+        "transform",
+        `translate(16,${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`
+      )
+      .attr("text-anchor", "middle")
+      .attr("font-family", "'Arial', sans-serif")
+      .attr("font-size", 12)
+      .attr("fill", textColor)
+      .text("密度（主题内部连线权重 / 关键词数）");
+
+    // 主题气泡，小气泡绘制在上层以便点击
+    const bubble = svg
+      .append("g")
+      .selectAll("g")
+      .data([...themes].sort((a, b) => b.frequency - a.frequency))
+      .join("g")
+      .attr("transform", (t) => `translate(${x(t.centrality)},${y(t.density)})`)
+      .style("cursor", "pointer")
+      .on("click", (event, t) => onSelectCommunity(t.community));
+
+    bubble
+      .append("circle")
+      .attr("r", (t) => Math.max(4, radius(t.frequency)))
+      .attr("fill", (t) => colorOf(t.community))
+      .attr("fill-opacity", 0.7)
+      .attr("stroke", (t) => d3.rgb(colorOf(t.community)).darker(0.8))
+      .attr("stroke-width", 1);
+
+    bubble
+      .append("text")
+      .attr("text-anchor", "middle")
+      .attr("dy", "0.35em")
+      .attr("font-family", "'Arial', sans-serif")
+      .attr("font-size", 11)
+      .attr("fill", textColor)
+      .attr("stroke", dark ? "#1f2937" : "#ffffff")
+      .attr("stroke-width", 3)
+      .attr("paint-order", "stroke")
+      .style("pointer-events", "none")
+      .text((t) => nameOf(t.community));
+
+    bubble
+      .append("title")
+      .text(
+        (t) =>
+          `${nameOf(t.community)}\n${
+            QUADRANTS[t.quadrant].label
+          }\n中心度 ${t.centrality.toFixed(3)}，密度 ${t.density.toFixed(
+            3
+          )}\n总频次 ${t.frequency}`
+      );
+  });
+
+  return (
+    <div>
+      <svg
+        ref={svgRef}
+        width="100%"
+        height={HEIGHT}
+        className={`border rounded ${dark ? "bg-gray-900" : "bg-white"}`}
+      ></svg>
+      <div
+        className={`mt-3 grid grid-cols-2 gap-2 text-sm ${
+          dark ? "text-gray-400" : "text-gray-600"
+        }`}
+      >
+        {Object.entries(QUADRANTS).map(([quadrant, { label, description }]) => (
+          <div key={quadrant}>
+            <span className="font-medium">{label}</span>：{description}（
+            {themes
+              .filter((t) => t.quadrant === quadrant)
+              .map((t) => nameOf(t.community))
+              .join("；") || "无"}
+            ）
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default StrategicDiagram;
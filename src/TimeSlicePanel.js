@@ -0,0 +1,117 @@
+import React from "react";
+import { SLICE_MODES, formatPeriod } from "./timeSlice";
+
+// 时间切片控制：年份滑块、累积/滑动窗口模式和自动播放
+const TimeSlicePanel = ({
+  yearRange,
+  timeSlice,
+  period,
+  paperCount,
+  playing,
+  visualStyle,
+  onChange,
+  onTogglePlay,
+}) => {
+  const dark = visualStyle === "dark";
+  const update = (changes) => onChange({ ...timeSlice, ...changes });
+  const inputClassName = `p-1 border rounded text-sm ${
+    dark
+      ? "bg-gray-700 border-gray-600 text-gray-200"
+      : "bg-white border-gray-300"
+  }`;
+
+  return (
+    <div
+      className={`mb-6 p-4 border rounded ${
+        dark ? "bg-gray-800 border-gray-700" : "bg-gray-50 border-gray-200"
+      }`}
+    >
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center text-sm font-medium">
+          <input
+            type="checkbox"
+            checked={timeSlice.enabled}
+            disabled={!yearRange}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="mr-2"
+          />
+          时间切片
+        </label>
+
+        {!yearRange && (
+          <span
+            className={`text-sm ${dark ? "text-gray-400" : "text-gray-500"}`}
+          >
+            当前数据没有年份信息，请在导入时映射年份列
+          </span>
+        )}
+
+        {yearRange && timeSlice.enabled && (
+          <>
+            <select
+              value={timeSlice.mode}
+              onChange={(e) => update({ mode: e.target.value })}
+              className={inputClassName}
+            >
+              {Object.entries(SLICE_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
+
+            {timeSlice.mode === "window" && (
+              <label className="flex items-center gap-1 text-sm">
+                窗口
+                <input
+                  type="number"
+                  min={1}
+                  max={yearRange[1] - yearRange[0] + 1}
+                  value={timeSlice.windowSize}
+                  onChange={(e) =>
+                    update({
+                      windowSize: Math.max(1, Number(e.target.value) || 1),
+                    })
+                  }
+                  className={`${inputClassName} w-16`}
+                />
+                年
+              </label>
+            )}
+
+            <button
+              onClick={onTogglePlay}
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
+              title={playing ? "暂停播放" : "逐年播放网络演化"}
+            >
+              {playing ? "暂停" : "播放"}
+            </button>
+
+            <input
+              type="range"
+              min={yearRange[0]}
+              max={yearRange[1]}
+              step={1}
+              value={period[1]}
+              onChange={(e) => update({ year: Number(e.target.value) })}
+              className="flex-1 min-w-48"
+            />
+
+            <span className="text-sm font-medium whitespace-nowrap">
+              {formatPeriod(period)}
+              <span
+                className={`ml-2 font-normal ${
+                  dark ? "text-gray-400" : "text-gray-500"
+                }`}
+              >
+                ({paperCount} 篇论文)
+              </span>
+            </span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TimeSlicePanel;
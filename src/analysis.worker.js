@@ -0,0 +1,121 @@
+// 分析线程：文件解析、关键词统计和布局计算
+//
+// 消息格式为 { id, type, payload }，type 为 parse、extract、layout 或 cancel。
+// 计算过程中发送 { id, type: "progress", progress: { phase, done, total } }，
+// 布局计算中还会发送 { id, type: "positions", positions }（x、y 交替排列的
+// Float64Array），结束时发送 result 或 error。
+
+import * as d3 from "d3";
+import { readFileDecoded, parseImportFile, mergeImports } from "./importers";
+import { extractKeywords } from "./keywords";
+import { countPapersByYear } from "./burst";
+import { createLayoutSimulation } from "./layout";
+
+// 布局计算中每计算这么多步发送一次节点位置
+const TICKS_PER_MESSAGE = 5;
+
+// eslint-disable-next-line no-restricted-globals
+const scope = self;
+const cancelled = new Set();
+
+const post = (id, type, data) => scope.postMessage({ id, type, ...data });
+
+// 已取消的任务在下一次报告进度时中止。统计关键词等同步计算不会让出线程，
+// 运行中收不到取消消息，但排在后面的任务开始时就能发现已被取消
+const cancelledError = () => {
+  const error = new Error("已取消");
+  error.cancelled = true;
+  return error;
+};
+
+const progressReporter = (id) => (phase, done, total) => {
+  if (cancelled.has(id)) throw cancelledError();
+  post(id, "progress", { progress: { phase, done, total } });
+};
+
+// 读取并解析上传的文件（可以是多个分卷文件）
+const parse = (id, { files }) => {
+  const report = progressReporter(id);
+  const imports = [];
+  return files
+    .reduce(
+      (previous, file, index) =>
+        previous.then(() => {
+          report(`读取 ${file.name}`, index, files.length);
+          return readFileDecoded(file).then((decoded) => {
+            imports.push(
+              parseImportFile(decoded, (done, total) =>
+                report(`解析 ${file.name}`, done, total)
+              )
+            );
+          });
+        }),
+      Promise.resolve()
+    )
+    .then(() => mergeImports(imports));
+};
+
+// 统计关键词、共现关系和每年的论文数（突现检测在主线程中按需进行）
+const extract = (id, { papers, options }) => {
+  const report = progressReporter(id);
+  const keywords = extractKeywords(papers, options, report);
+  return { keywords, yearTotals: countPapersByYear(papers) };
+};
+
+const packPositions = (nodes) => {
+  const positions = new Float64Array(nodes.length * 2);
+  nodes.forEach((d, i) => {
+    positions[i * 2] = d.x;
+    positions[i * 2 + 1] = d.y;
+  });
+  return positions;
+};
+
+// 从给定的位置和 alpha 开始运行力模拟直到收敛，期间分批发送节点位置
+const layout = (id, { nodes, links, options }) =>
+  new Promise((resolve) => {
+    const simulation = createLayoutSimulation(nodes, links, {
+      ...options,
+      radius: (d) => d.r,
+    });
+    if (options.seed !== null) {
+      simulation.randomSource(d3.randomLcg(options.seed));
+    }
+    simulation.alpha(options.alpha);
+
+    const step = () => {
+      if (cancelled.has(id)) {
+        resolve(null);
+        return;
+      }
+      simulation.tick(TICKS_PER_MESSAGE);
+      if (simulation.alpha() < simulation.alphaMin()) {
+        resolve(packPositions(nodes));
+        return;
+      }
+      const positions = packPositions(nodes);
+      scope.postMessage({ id, type: "positions", positions }, [
+        positions.buffer,
+      ]);
+      // 让出线程以便接收取消消息
+      setTimeout(step, 0);
+    };
+    step();
+  });
+
+const handlers = { parse, extract, layout };
+
+scope.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+  if (type === "cancel") {
+    cancelled.add(id);
+    return;
+  }
+
+  // 推迟到已排队的消息之后开始，先收到针对此任务的取消消息
+  new Promise((resolve) => setTimeout(resolve, 0))
+    .then(() => handlers[type](id, payload))
+    .then((result) => post(id, "result", { result }))
+    .catch((err) => post(id, "error", { message: err.message }))
+    .finally(() => cancelled.delete(id));
+};
@@ -0,0 +1,82 @@
+// 分析线程的主线程接口：把文件解析、关键词统计和布局计算交给 Web Worker，
+// 避免大数据量时页面失去响应
+//
+// 每个任务返回 { id, promise, cancel }。cancel 只取消单个任务；cancelAll 终止
+// 整个线程（正在进行的同步计算也会立即停止），下一个任务会自动新建线程。
+// 被取消的任务以 cancelled 为 true 的错误结束。
+
+const cancelledError = () => {
+  const error = new Error("已取消");
+  error.cancelled = true;
+  return error;
+};
+
+export const createAnalysisClient = () => {
+  let worker = null;
+  let nextId = 0;
+  const jobs = new Map();
+
+  const finish = (id) => {
+    const job = jobs.get(id);
+    jobs.delete(id);
+    return job;
+  };
+
+  const handleMessage = (event) => {
+    const { id, type } = event.data;
+    const job = jobs.get(id);
+    if (!job) return;
+
+    if (type === "progress") {
+      if (job.onProgress) job.onProgress(event.data.progress);
+    } else if (type === "positions") {
+      if (job.onPositions) job.onPositions(event.data.positions);
+    } else if (type === "result") {
+      finish(id).resolve(event.data.result);
+    } else if (type === "error") {
+      finish(id).reject(new Error(event.data.message));
+    }
+  };
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL("./analysis.worker.js", import.meta.url));
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        event.preventDefault();
+        const error = new Error(event.message || "分析线程出错");
+        jobs.forEach((job) => job.reject(error));
+        jobs.clear();
+      };
+    }
+    return worker;
+  };
+
+  // 开始任务。callbacks 为 { onProgress, onPositions }，均可省略
+  const start = (type, payload, callbacks = {}) => {
+    nextId += 1;
+    const id = nextId;
+    const promise = new Promise((resolve, reject) => {
+      jobs.set(id, { ...callbacks, resolve, reject });
+    });
+    getWorker().postMessage({ id, type, payload });
+
+    const cancel = () => {
+      if (!jobs.has(id)) return;
+      finish(id).reject(cancelledError());
+      worker.postMessage({ id, type: "cancel" });
+    };
+    return { id, promise, cancel };
+  };
+
+  const cancelAll = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    jobs.forEach((job) => job.reject(cancelledError()));
+    jobs.clear();
+  };
+
+  return { start, cancelAll };
+};
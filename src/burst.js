@@ -0,0 +1,114 @@
+// 关键词突现检测（Kleinberg 两状态批量模型）
+//
+// 对每个关键词，记 r_t 为第 t 年包含该词的论文数，d_t 为第 t 年的论文总数。
+// 基础状态的出现概率 p0 = Σr/Σd，突现状态的概率 p1 = s·p0。用 Viterbi 算法
+// 求代价最小的状态序列，进入突现状态的代价为 γ·ln(n)（n 为年份数）。
+// 连续处于突现状态的年份构成一次突现，其强度为这些年份上两种状态代价之差的和。
+
+import * as d3 from "d3";
+
+export const DEFAULT_BURST_OPTIONS = {
+  s: 2,
+  gamma: 1,
+};
+
+// 突现关键词在图中的标记颜色
+export const BURST_COLOR = "#d7301f";
+
+// 状态代价：-ln(p^r (1-p)^(d-r))，二项系数对两种状态相同，可以省略
+const stateCost = (p, r, d) =>
+  d === 0 ? 0 : -(r * Math.log(p) + (d - r) * Math.log(1 - p));
+
+// 单个关键词的突现区间（以年份序号表示），按强度从大到小排列
+const burstIntervals = (counts, totals, options) => {
+  const n = totals.length;
+  const r = counts.reduce((sum, value) => sum + value, 0);
+  const d = totals.reduce((sum, value) => sum + value, 0);
+  if (r === 0 || d === 0 || r === d) return [];
+
+  const p0 = r / d;
+  const p1 = Math.min(options.s * p0, 0.9999);
+  if (p1 <= p0) return [];
+  const enterCost = options.gamma * Math.log(n);
+
+  // Viterbi：cost[state] 为到当前年份为止、以该状态结尾的最小代价
+  let cost = [0, enterCost];
+  const back = [];
+  for (let t = 0; t < n; t++) {
+    const c0 = stateCost(p0, counts[t], totals[t]);
+    const c1 = stateCost(p1, counts[t], totals[t]);
+    const from0 = cost[0] <= cost[1] ? 0 : 1;
+    const from1 = cost[0] + enterCost < cost[1] ? 0 : 1;
+    back.push([from0, from1]);
+    cost = [
+      Math.min(cost[0], cost[1]) + c0,
+      (from1 === 0 ? cost[0] + enterCost : cost[1]) + c1,
+    ];
+  }
+
+  const states = new Array(n);
+  states[n - 1] = cost[0] <= cost[1] ? 0 : 1;
+  for (let t = n - 1; t > 0; t--) states[t - 1] = back[t][states[t]];
+
+  const intervals = [];
+  for (let t = 0; t < n; t++) {
+    if (states[t] !== 1) continue;
+    const start = t;
+    let strength = 0;
+    while (t < n && states[t] === 1) {
+      strength +=
+        stateCost(p0, counts[t], totals[t]) -
+        stateCost(p1, counts[t], totals[t]);
+      t++;
+    }
+    intervals.push({ start, end: t - 1, strength });
+  }
+
+  return intervals
+    .filter((interval) => interval.strength > 0)
+    .sort((a, b) => b.strength - a.strength);
+};
+
+// 每年的论文总数 { minYear, totals }，totals[t] 为第 minYear + t 年的论文数；
+// 没有年份信息时返回 null
+export const countPapersByYear = (papers) => {
+  const datedYears = papers
+    .map((paper) => paper.Year)
+    .filter((year) => Number.isFinite(year));
+  if (datedYears.length === 0) return null;
+
+  // 论文数可能超过展开参数的上限，不能用 Math.min(...datedYears)
+  const [minYear, maxYear] = d3.extent(datedYears);
+  const totals = new Array(maxYear - minYear + 1).fill(0);
+  datedYears.forEach((year) => {
+    totals[year - minYear] += 1;
+  });
+  return { minYear, totals };
+};
+
+// 检测所有关键词的突现，返回按强度从大到小排列的
+// [{ keyword, strength, begin, end }]，每个关键词只保留最强的一次突现。
+// yearTotals 为 countPapersByYear 的结果，关键词的 years 为所在论文的年份
+export const detectBursts = (keywordData, yearTotals, options) => {
+  if (!yearTotals) return [];
+  const { minYear, totals } = yearTotals;
+
+  const bursts = [];
+  keywordData.forEach((item) => {
+    const counts = new Array(totals.length).fill(0);
+    item.years.forEach((year) => {
+      counts[year - minYear] += 1;
+    });
+
+    const [strongest] = burstIntervals(counts, totals, options);
+    if (!strongest) return;
+    bursts.push({
+      keyword: item.keyword,
+      strength: strongest.strength,
+      begin: minYear + strongest.start,
+      end: minYear + strongest.end,
+    });
+  });
+
+  return bursts.sort((a, b) => b.strength - a.strength);
+};
@@ -0,0 +1,200 @@
+// 画布渲染：节点较多时代替 SVG 绘制节点、连线和标签
+//
+// 每个 SVG 节点都带有径向渐变和发光滤镜，节点上千时重绘非常慢。画布模式下
+// 背景、水印和图例仍由 SVG 绘制，导出图片时再临时生成完整的 SVG 节点。
+// 缩放、拖拽、悬停和点击由调用方处理，通过 find 查找鼠标下的节点。
+
+import * as d3 from "d3";
+
+// 自动模式下节点数超过该值时改用画布
+export const CANVAS_NODE_THRESHOLD = 300;
+
+export const RENDERERS = {
+  auto: `自动（超过${CANVAS_NODE_THRESHOLD}个节点用Canvas）`,
+  svg: "SVG",
+  canvas: "Canvas",
+};
+
+// 是否使用画布绘制
+export const prefersCanvas = (renderer, nodeCount) =>
+  renderer === "canvas" ||
+  (renderer === "auto" && nodeCount > CANVAS_NODE_THRESHOLD);
+
+// 与 SVG 相同的弧形连线
+export const linkPath = (d) => {
+  const dx = d.target.x - d.source.x;
+  const dy = d.target.y - d.source.y;
+  const dr = Math.sqrt(dx * dx + dy * dy) * 2;
+  return `M${d.source.x},${d.source.y}A${dr},${dr} 0 0,1 ${d.target.x},${d.target.y}`;
+};
+
+// 创建画布渲染器。尺寸、节点和连线、样式分别通过 setSize、setData、setStyle
+// 更新，style 提供各元素的样式：
+// { nodeRadius, nodeColor, linkColor, linkWidth, labelSize, labelWeight,
+//   showLabels, labelHalo, selectedId, selectedStroke, burstColor, burstOf,
+//   isPinned }
+export const createCanvasRenderer = (canvas) => {
+  const ratio = window.devicePixelRatio || 1;
+  const context = canvas.getContext("2d");
+
+  let width = 0;
+  let height = 0;
+  let nodes = [];
+  let links = [];
+  let style = null;
+  let transform = d3.zoomIdentity;
+  let highlighted = null; // { id, neighbors }
+  let frame = null;
+
+  const isRelated = (l) =>
+    l.source.id === highlighted.id || l.target.id === highlighted.id;
+
+  const nodeOpacity = (d) => {
+    if (!highlighted || d.id === highlighted.id) return 1;
+    return highlighted.neighbors.has(d.id) ? 0.9 : 0.2;
+  };
+
+  const drawLinks = () => {
+    links.forEach((l) => {
+      const related = highlighted && isRelated(l);
+      context.globalAlpha = highlighted ? (related ? 0.9 : 0.1) : 0.4;
+      context.lineWidth =
+        style.linkWidth(l) * (highlighted ? (related ? 1.5 : 0.5) : 1);
+      context.strokeStyle = style.linkColor(l);
+      context.stroke(new Path2D(linkPath(l)));
+    });
+  };
+
+  const drawNode = (d) => {
+    const r = style.nodeRadius(d);
+    const color = style.nodeColor(d);
+    context.globalAlpha = nodeOpacity(d);
+
+    // 与 SVG 相同的径向渐变：高光在左上方
+    const cx = d.x - r * 0.4;
+    const cy = d.y - r * 0.4;
+    const gradient = context.createRadialGradient(cx, cy, 0, cx, cy, r * 1.4);
+    gradient.addColorStop(0, d3.rgb(color).brighter(0.2).toString());
+    gradient.addColorStop(1, d3.rgb(color).darker(0.5).toString());
+    context.beginPath();
+    context.arc(d.x, d.y, r, 0, 2 * Math.PI);
+    context.fillStyle = gradient;
+    context.fill();
+
+    const hovered = highlighted && highlighted.id === d.id;
+    if (hovered || d.id === style.selectedId) {
+      context.lineWidth = 2;
+      context.strokeStyle = hovered ? "#fff" : style.selectedStroke;
+      context.stroke();
+    }
+
+    if (style.burstOf(d)) {
+      context.beginPath();
+      context.arc(d.x, d.y, r + 4, 0, 2 * Math.PI);
+      context.setLineDash([3, 2]);
+      context.lineWidth = 1.5;
+      context.strokeStyle = style.burstColor;
+      context.stroke();
+      context.setLineDash([]);
+    }
+
+    if (style.isPinned(d)) {
+      context.beginPath();
+      context.arc(d.x + r * 0.7, d.y - r * 0.7, 3, 0, 2 * Math.PI);
+      context.fillStyle = style.selectedStroke;
+      context.fill();
+    }
+
+    if (style.showLabels) {
+      context.font = `${style.labelWeight(d)} ${style.labelSize(
+        d
+      )}px Arial, sans-serif`;
+      context.lineJoin = "round";
+      context.lineWidth = 4;
+      context.strokeStyle = style.labelHalo;
+      context.globalAlpha = nodeOpacity(d) * 0.9;
+      context.strokeText(d.id, d.x + r + 2, d.y + 4);
+      context.globalAlpha = nodeOpacity(d);
+      context.fillStyle = d3.rgb(color).darker(0.8).toString();
+      context.fillText(d.id, d.x + r + 2, d.y + 4);
+    }
+  };
+
+  const render = () => {
+    frame = null;
+    if (!style) return;
+    context.save();
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.translate(transform.x, transform.y);
+    context.scale(transform.k, transform.k);
+    drawLinks();
+    nodes.forEach(drawNode);
+    context.restore();
+  };
+
+  // 在下一帧重绘（同一帧内的多次调用只绘制一次）
+  const draw = () => {
+    if (frame === null) frame = requestAnimationFrame(render);
+  };
+
+  // 画布坐标下位于最上层的节点
+  const find = (x, y) => {
+    const [px, py] = transform.invert([x, y]);
+    if (!style) return undefined;
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const d = nodes[i];
+      const r = style.nodeRadius(d);
+      if ((d.x - px) ** 2 + (d.y - py) ** 2 <= r * r) return d;
+    }
+    return undefined;
+  };
+
+  return {
+    draw,
+    find,
+    setSize: (nextWidth, nextHeight) => {
+      width = nextWidth;
+      height = nextHeight;
+      canvas.width = width * ratio;
+      canvas.height = height * ratio;
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+      draw();
+    },
+    setData: (nextNodes, nextLinks) => {
+      nodes = nextNodes;
+      links = nextLinks;
+      highlighted = null;
+      draw();
+    },
+    setStyle: (nextStyle) => {
+      style = nextStyle;
+      draw();
+    },
+    invert: (point) => transform.invert(point),
+    setTransform: (next) => {
+      transform = next;
+      draw();
+    },
+    // 悬停时突出显示节点及其相连的节点和连线，null 表示取消
+    setHighlight: (d) => {
+      if (d) {
+        const neighbors = new Set();
+        links.forEach((l) => {
+          if (l.source.id === d.id) neighbors.add(l.target.id);
+          if (l.target.id === d.id) neighbors.add(l.source.id);
+        });
+        highlighted = { id: d.id, neighbors };
+      } else {
+        highlighted = null;
+      }
+      draw();
+    },
+    destroy: () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.clearRect(0, 0, canvas.width, canvas.height);
+    },
+  };
+};
@@ -0,0 +1,249 @@
+// 节点中心性指标
+//
+// 在当前网络（加权无向图）上计算度、加权度（强度）、中介中心性、
+// 接近中心性、特征向量中心性和PageRank。涉及最短路径的指标以
+// 1/权重 作为距离，即连接越强，两个关键词越"近"。
+
+export const NODE_METRICS = {
+  count: "出现频率",
+  degree: "度",
+  strength: "加权度（强度）",
+  betweenness: "中介中心性",
+  closeness: "接近中心性",
+  eigenvector: "特征向量中心性",
+  pagerank: "PageRank",
+};
+
+// 读取节点的某个指标值
+export const nodeMetricValue = (node, metric) =>
+  metric === "count" ? node.count : node.centrality[metric];
+
+// 格式化指标值：整数原样显示，其余保留三位小数
+export const formatMetric = (value) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(3);
+
+const linkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+// 构建邻接表：adj[i] 为 [{ j, w }]
+const buildNeighbors = (nodes, links) => {
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const adj = nodes.map(() => []);
+
+  links.forEach((link) => {
+    const i = index.get(linkEndId(link.source));
+    const j = index.get(linkEndId(link.target));
+    if (i === undefined || j === undefined || i === j || !(link.value > 0)) {
+      return;
+    }
+    adj[i].push({ j, w: link.value });
+    adj[j].push({ j: i, w: link.value });
+  });
+
+  return adj;
+};
+
+// 最小堆，用于Dijkstra
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].d <= items[i].d) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].d < items[smallest].d) {
+          smallest = left;
+        }
+        if (right < items.length && items[right].d < items[smallest].d) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Brandes算法（加权版）同时得到中介中心性和（调和）接近中心性
+const shortestPathCentralities = (adj) => {
+  const n = adj.length;
+  const betweenness = new Array(n).fill(0);
+  const closeness = new Array(n).fill(0);
+
+  for (let s = 0; s < n; s++) {
+    const dist = new Array(n).fill(Infinity);
+    const sigma = new Array(n).fill(0);
+    const preds = adj.map(() => []);
+    const order = [];
+    const settled = new Array(n).fill(false);
+    const heap = new MinHeap();
+
+    dist[s] = 0;
+    sigma[s] = 1;
+    heap.push({ v: s, d: 0 });
+
+    while (heap.size > 0) {
+      const { v, d } = heap.pop();
+      if (settled[v] || d > dist[v]) continue;
+      settled[v] = true;
+      order.push(v);
+
+      adj[v].forEach(({ j, w }) => {
+        const alt = dist[v] + 1 / w;
+        if (alt < dist[j] - 1e-12) {
+          dist[j] = alt;
+          sigma[j] = sigma[v];
+          preds[j] = [v];
+          heap.push({ v: j, d: alt });
+        } else if (Math.abs(alt - dist[j]) <= 1e-12) {
+          sigma[j] += sigma[v];
+          preds[j].push(v);
+        }
+      });
+    }
+
+    // 调和接近中心性：对不连通的图同样适用
+    order.forEach((v) => {
+      if (v !== s) closeness[s] += 1 / dist[v];
+    });
+
+    // 反向累积依赖度
+    const delta = new Array(n).fill(0);
+    for (let k = order.length - 1; k >= 0; k--) {
+      const w = order[k];
+      preds[w].forEach((v) => {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      });
+      if (w !== s) betweenness[w] += delta[w];
+    }
+  }
+
+  // 无向图中每条路径被计算了两次；再按 (n-1)(n-2)/2 归一化到 [0,1]
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  return {
+    betweenness: betweenness.map((b) => (pairs > 0 ? b / 2 / pairs : 0)),
+    closeness: closeness.map((c) => (n > 1 ? c / (n - 1) : 0)),
+  };
+};
+
+// 幂迭代求特征向量中心性（最大分量归一化为1）
+const eigenvectorCentrality = (adj, iterations = 100) => {
+  const n = adj.length;
+  let x = new Array(n).fill(1);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    // 加上自身分量（A + I）以保证在二部结构上也能收敛
+    const next = x.slice();
+    for (let i = 0; i < n; i++) {
+      for (const { j, w } of adj[i]) next[i] += w * x[j];
+    }
+
+    const max = Math.max(...next, 0);
+    if (max === 0) return new Array(n).fill(0);
+
+    let change = 0;
+    for (let i = 0; i < n; i++) {
+      next[i] /= max;
+      change += Math.abs(next[i] - x[i]);
+    }
+    x = next;
+    if (change < 1e-9) break;
+  }
+
+  return x;
+};
+
+// 加权PageRank（阻尼系数0.85，孤立节点的得分均匀分配）
+const pageRank = (adj, strength, damping = 0.85, iterations = 100) => {
+  const n = adj.length;
+  if (n === 0) return [];
+  let rank = new Array(n).fill(1 / n);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      if (strength[i] === 0) dangling += rank[i];
+    }
+
+    const next = new Array(n).fill(
+      (1 - damping) / n + (damping * dangling) / n
+    );
+    for (let i = 0; i < n; i++) {
+      if (strength[i] === 0) continue;
+      for (const { j, w } of adj[i]) {
+        next[j] += (damping * rank[i] * w) / strength[i];
+      }
+    }
+
+    let change = 0;
+    for (let i = 0; i < n; i++) change += Math.abs(next[i] - rank[i]);
+    rank = next;
+    if (change < 1e-10) break;
+  }
+
+  return rank;
+};
+
+// 计算所有中心性指标，写入每个节点的 centrality 字段
+export const computeCentralities = (nodes, links) => {
+  const adj = buildNeighbors(nodes, links);
+  const degree = adj.map((neighbors) => neighbors.length);
+  const strength = adj.map((neighbors) =>
+    neighbors.reduce((sum, { w }) => sum + w, 0)
+  );
+  const { betweenness, closeness } = shortestPathCentralities(adj);
+  const eigenvector = eigenvectorCentrality(adj);
+  const pagerank = pageRank(adj, strength);
+
+  nodes.forEach((node, i) => {
+    node.centrality = {
+      degree: degree[i],
+      strength: strength[i],
+      betweenness: betweenness[i],
+      closeness: closeness[i],
+      eigenvector: eigenvector[i],
+      pagerank: pagerank[i],
+    };
+  });
+
+  return nodes;
+};
+
+// 中介中心性等最短路径指标的计算量为 O(nm log n)，只在用到时计算。
+// 网络重新构建后节点对象是新的，已计算过的网络直接返回
+export const ensureCentralities = (nodes, links) => {
+  if (nodes.length > 0 && !nodes[0].centrality) {
+    computeCentralities(nodes, links);
+  }
+  return nodes;
+};
+
+// 所选的指标中是否有中心性指标（出现频率之外的指标）
+export const needsCentrality = (...metrics) =>
+  metrics.some((metric) => metric !== "count");
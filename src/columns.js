@@ -0,0 +1,152 @@
+// 列映射：把任意导出文件的列对应到统一的论文记录字段
+//
+// 统一的论文记录形如 { Keywords, Title, Year, Authors, Source, DOI }，
+// 其中 Keywords 由一个或多个源列合并而成，其余字段均为可选。
+
+// 关键词列的常见列名
+const KEYWORD_COLUMN_NAMES = [
+  "keywords",
+  "author keywords",
+  "index keywords",
+  "keywords plus",
+  "keyword",
+  "de",
+  "id",
+  "关键词",
+  "关键字",
+  "k1",
+  "%k",
+];
+
+// 可选字段及其常见列名
+export const OPTIONAL_FIELDS = [
+  {
+    key: "Title",
+    label: "标题",
+    names: [
+      "title",
+      "article title",
+      "document title",
+      "ti",
+      "t1",
+      "%t",
+      "标题",
+      "题名",
+      "篇名",
+    ],
+  },
+  {
+    key: "Year",
+    label: "年份",
+    names: [
+      "year",
+      "publication year",
+      "py",
+      "yr",
+      "%d",
+      "年份",
+      "年",
+      "发表年份",
+      "出版年",
+    ],
+  },
+  {
+    key: "Authors",
+    label: "作者",
+    names: [
+      "authors",
+      "author",
+      "author full names",
+      "au",
+      "af",
+      "a1",
+      "%a",
+      "作者",
+    ],
+  },
+  {
+    key: "Source",
+    label: "来源",
+    names: [
+      "source",
+      "source title",
+      "journal",
+      "so",
+      "jf",
+      "%j",
+      "来源",
+      "期刊",
+      "文献来源",
+      "刊名",
+    ],
+  },
+  { key: "DOI", label: "DOI", names: ["doi", "di", "do", "%r"] },
+];
+
+const normalizeColumnName = (name) => String(name).trim().toLowerCase();
+
+// 列名是否属于候选名称；CNKI 自定义格式的 "Keyword-关键词" 等双语列名按任一部分匹配
+const matchesColumnName = (field, names) => {
+  const name = normalizeColumnName(field);
+  return [name, ...name.split("-")].some((part) => names.includes(part));
+};
+
+const findColumn = (fields, names) =>
+  fields.find((field) => matchesColumnName(field, names)) || "";
+
+// 根据列名猜测初始映射
+export const guessColumnMapping = (fields) => {
+  // "ID" 只有在WoS字段标识（同时存在 "DE"）下才表示 Keywords Plus
+  const isWosTagged = fields.some(
+    (field) => normalizeColumnName(field) === "de"
+  );
+  const keywordColumns = fields.filter((field) => {
+    if (normalizeColumnName(field) === "id" && !isWosTagged) return false;
+    return matchesColumnName(field, KEYWORD_COLUMN_NAMES);
+  });
+
+  const mapping = { keywordColumns };
+  OPTIONAL_FIELDS.forEach(({ key, names }) => {
+    mapping[key] = findColumn(fields, names);
+  });
+
+  return mapping;
+};
+
+// 保存的映射是否适用于新文件：所引用的列在新文件中都存在
+export const mappingFitsFields = (mapping, fields) =>
+  mapping.keywordColumns.length > 0 &&
+  [...mapping.keywordColumns, ...OPTIONAL_FIELDS.map(({ key }) => mapping[key])]
+    .filter(Boolean)
+    .every((column) => fields.includes(column));
+
+const cellText = (value) =>
+  value === null || value === undefined ? "" : String(value).trim();
+
+// 按映射把原始行转换为统一的论文记录
+export const applyColumnMapping = (rows, mapping) =>
+  rows.map((row) => {
+    const paper = {
+      Keywords: mapping.keywordColumns
+        .map((column) => cellText(row[column]))
+        .filter((text) => text.length > 0)
+        .join("\n"),
+    };
+
+    OPTIONAL_FIELDS.forEach(({ key }) => {
+      const column = mapping[key];
+      if (!column) return;
+      const text = cellText(row[column]);
+      if (text.length === 0) return;
+      const value = key === "Year" ? parseYear(text) : text;
+      if (value !== undefined) paper[key] = value;
+    });
+
+    return paper;
+  });
+
+// 从年份单元格中提取四位年份（兼容 "2021"、"2021-05-03"、"2021年" 等写法）
+export const parseYear = (text) => {
+  const match = String(text).match(/(1[5-9]|20)\d{2}/);
+  return match ? Number(match[0]) : undefined;
+};
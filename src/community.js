@@ -0,0 +1,176 @@
+// 社区检测：加权无向图上的Louvain模块度优化
+//
+// 图以邻接表表示：adj[i] 是 Map(j -> A_ij)，对称存储；
+// 自环 A_ii 表示聚合后社区内部的连接权重（已按两个端点各计一次）。
+// resolution（分辨率参数 γ）越大，得到的社区越小、越多。
+
+const linkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+// 由节点和边构建初始邻接表
+const buildAdjacency = (nodes, links) => {
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const adj = nodes.map(() => new Map());
+
+  links.forEach((link) => {
+    const i = index.get(linkEndId(link.source));
+    const j = index.get(linkEndId(link.target));
+    const w = link.value;
+    if (i === undefined || j === undefined || !(w > 0)) return;
+
+    if (i === j) {
+      adj[i].set(i, (adj[i].get(i) || 0) + 2 * w);
+    } else {
+      adj[i].set(j, (adj[i].get(j) || 0) + w);
+      adj[j].set(i, (adj[j].get(i) || 0) + w);
+    }
+  });
+
+  return adj;
+};
+
+const nodeStrengths = (adj) =>
+  adj.map((neighbors) => {
+    let k = 0;
+    neighbors.forEach((w) => {
+      k += w;
+    });
+    return k;
+  });
+
+// 局部移动阶段：逐个节点移入使模块度增益最大的相邻社区
+const moveNodes = (adj, k, m2, resolution) => {
+  const n = adj.length;
+  const community = adj.map((_, i) => i);
+  const tot = k.slice();
+  let improved = false;
+  let moved = true;
+
+  while (moved) {
+    moved = false;
+
+    for (let i = 0; i < n; i++) {
+      const current = community[i];
+
+      // 节点 i 与各相邻社区之间的连接权重
+      const weightTo = new Map();
+      adj[i].forEach((w, j) => {
+        if (j === i) return;
+        const c = community[j];
+        weightTo.set(c, (weightTo.get(c) || 0) + w);
+      });
+
+      // 先将节点从当前社区移出
+      tot[current] -= k[i];
+
+      let best = current;
+      let bestGain =
+        (weightTo.get(current) || 0) - (resolution * tot[current] * k[i]) / m2;
+
+      weightTo.forEach((w, c) => {
+        const gain = w - (resolution * tot[c] * k[i]) / m2;
+        if (gain > bestGain + 1e-12) {
+          bestGain = gain;
+          best = c;
+        }
+      });
+
+      tot[best] += k[i];
+      if (best !== current) {
+        community[i] = best;
+        moved = true;
+        improved = true;
+      }
+    }
+  }
+
+  return { community, improved };
+};
+
+// 聚合阶段：把每个社区压缩为一个超级节点
+const aggregate = (adj, community) => {
+  const relabel = new Map();
+  community.forEach((c) => {
+    if (!relabel.has(c)) relabel.set(c, relabel.size);
+  });
+
+  const next = Array.from({ length: relabel.size }, () => new Map());
+  adj.forEach((neighbors, i) => {
+    const ci = relabel.get(community[i]);
+    neighbors.forEach((w, j) => {
+      const cj = relabel.get(community[j]);
+      next[ci].set(cj, (next[ci].get(cj) || 0) + w);
+    });
+  });
+
+  return { adj: next, membership: community.map((c) => relabel.get(c)) };
+};
+
+// 计算给定划分的模块度 Q
+export const computeModularity = (nodes, links, resolution = 1) => {
+  const adj = buildAdjacency(nodes, links);
+  const k = nodeStrengths(adj);
+  const m2 = sum(k);
+  if (m2 === 0) return 0;
+
+  const internal = {};
+  const total = {};
+
+  adj.forEach((neighbors, i) => {
+    const ci = nodes[i].community;
+    total[ci] = (total[ci] || 0) + k[i];
+    neighbors.forEach((w, j) => {
+      if (nodes[j].community === ci) {
+        internal[ci] = (internal[ci] || 0) + w;
+      }
+    });
+  });
+
+  return Object.keys(total).reduce(
+    (q, c) => q + (internal[c] || 0) / m2 - resolution * (total[c] / m2) ** 2,
+    0
+  );
+};
+
+// 社区检测算法 (Louvain算法)
+// 为每个节点写入 community 字段（按社区规模从大到小编号），并返回节点数组
+export const detectCommunities = (nodes, links, resolution = 1) => {
+  let adj = buildAdjacency(nodes, links);
+  const m2 = sum(nodeStrengths(adj));
+
+  // 每个原始节点当前所属的社区
+  let assignment = nodes.map((_, i) => i);
+
+  if (m2 > 0) {
+    for (;;) {
+      const k = nodeStrengths(adj);
+      const { community, improved } = moveNodes(adj, k, m2, resolution);
+      if (!improved) break;
+
+      const level = aggregate(adj, community);
+      assignment = assignment.map((c) => level.membership[c]);
+      adj = level.adj;
+    }
+  }
+
+  // 重新映射社区ID为连续数字，规模大的社区编号靠前
+  const sizes = {};
+  assignment.forEach((c) => {
+    sizes[c] = (sizes[c] || 0) + 1;
+  });
+  const order = Object.keys(sizes)
+    .map(Number)
+    .sort((a, b) => sizes[b] - sizes[a] || a - b);
+  const communityMap = {};
+  order.forEach((comm, i) => {
+    communityMap[comm] = i;
+  });
+
+  // 更新节点的社区ID
+  nodes.forEach((node, i) => {
+    node.community = communityMap[assignment[i]];
+  });
+
+  return nodes;
+};
@@ -0,0 +1,95 @@
+// 社区命名：默认以社区中排名最高的几个关键词命名，也可以手动修改
+//
+// 手动修改的名称连同当时的社区成员一起保存。网络重新构建后社区编号会变化，
+// 因此按成员的 Jaccard 相似度把保存的名称对应到新的社区上，成员基本不变
+// （相似度不低于 MIN_SIMILARITY）时沿用原来的名称。
+
+import { nodeMetricValue } from "./centrality";
+
+const NAME_KEYWORDS = 3;
+const MIN_SIMILARITY = 0.5;
+
+const jaccard = (a, b) => {
+  let shared = 0;
+  a.forEach((id) => {
+    if (b.has(id)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+const groupMembers = (nodes) => {
+  const groups = new Map();
+  nodes.forEach((node) => {
+    if (!groups.has(node.community)) groups.set(node.community, []);
+    groups.get(node.community).push(node);
+  });
+  return groups;
+};
+
+// 以指标排名前几位的关键词作为社区的默认名称
+export const autoCommunityName = (members, labelBy) =>
+  [...members]
+    .sort((a, b) => nodeMetricValue(b, labelBy) - nodeMetricValue(a, labelBy))
+    .slice(0, NAME_KEYWORDS)
+    .map((node) => node.id)
+    .join("、");
+
+// 把保存的名称逐个对应到成员最相似的社区（每个名称、每个社区最多使用一次）
+const matchCustomNames = (groups, customNames) => {
+  const candidates = [];
+  groups.forEach((members, community) => {
+    const memberIds = new Set(members.map((node) => node.id));
+    customNames.forEach((entry, index) => {
+      const similarity = jaccard(memberIds, new Set(entry.members));
+      if (similarity >= MIN_SIMILARITY) {
+        candidates.push({ community, index, similarity });
+      }
+    });
+  });
+
+  const matched = new Map();
+  const usedNames = new Set();
+  candidates
+    .sort((a, b) => b.similarity - a.similarity)
+    .forEach(({ community, index }) => {
+      if (matched.has(community) || usedNames.has(index)) return;
+      matched.set(community, index);
+      usedNames.add(index);
+    });
+  return matched;
+};
+
+// 社区编号 → 名称
+export const resolveCommunityNames = (nodes, customNames, labelBy) => {
+  const groups = groupMembers(nodes);
+  const matched = matchCustomNames(groups, customNames);
+  const names = new Map();
+  groups.forEach((members, community) => {
+    names.set(
+      community,
+      matched.has(community)
+        ? customNames[matched.get(community)].name
+        : autoCommunityName(members, labelBy)
+    );
+  });
+  return names;
+};
+
+// 修改某个社区的名称，返回新的名称列表；名称为空时恢复默认名称
+export const renameCommunity = (customNames, nodes, community, name) => {
+  const groups = groupMembers(nodes);
+  const matched = matchCustomNames(groups, customNames);
+  const remaining = customNames.filter(
+    (entry, index) => index !== matched.get(community)
+  );
+  const trimmed = name.trim();
+  if (trimmed.length === 0 || !groups.has(community)) return remaining;
+
+  return [
+    ...remaining,
+    {
+      members: groups.get(community).map((node) => node.id),
+      name: trimmed,
+    },
+  ];
+};
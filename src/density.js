@@ -0,0 +1,82 @@
+// 关键词密度图：参考 VOSviewer 的密度视图，由节点的布局坐标和关键词频率估计
+// 核密度曲面，用色带表示关键词的聚集程度
+//
+// 密度视图中隐藏节点和连线，只在密度曲面上显示标签。社区密度图为每个社区分别
+// 估计密度，用社区颜色叠加绘制。密度图层位于可缩放的容器中，随图缩放和导出。
+
+import * as d3 from "d3";
+
+export const DENSITY_VIEWS = {
+  none: "节点连线图",
+  density: "密度图",
+  cluster: "社区密度图",
+};
+
+// 核密度估计的带宽（布局坐标中的像素）和等值线的层数
+const BANDWIDTH = 30;
+const THRESHOLDS = 20;
+
+// 曲面超出节点范围的边距，保证边缘节点的密度完整
+const PADDING = BANDWIDTH * 3;
+
+// 估计节点的核密度等值线，节点权重为 weight(d)。等值线坐标相对于
+// (x0, y0)，返回 { x0, y0, contours }
+export const densityContours = (nodes, weight) => {
+  const x0 = Math.floor(d3.min(nodes, (d) => d.x) - PADDING);
+  const y0 = Math.floor(d3.min(nodes, (d) => d.y) - PADDING);
+  const x1 = Math.ceil(d3.max(nodes, (d) => d.x) + PADDING);
+  const y1 = Math.ceil(d3.max(nodes, (d) => d.y) + PADDING);
+  const contours = d3
+    .contourDensity()
+    .x((d) => d.x - x0)
+    .y((d) => d.y - y0)
+    .weight(weight)
+    .size([x1 - x0, y1 - y0])
+    .bandwidth(BANDWIDTH)
+    .thresholds(THRESHOLDS)(nodes);
+  return { x0, y0, contours };
+};
+
+// 在 layer 中绘制密度曲面。view 为 DENSITY_VIEWS 中的键，"none" 时清空图层；
+// weight(d) 为节点权重，colorOf(community) 为社区颜色（社区密度图使用）
+export const drawDensity = (layer, nodes, { view, weight, colorOf }) => {
+  const positioned = nodes.filter(
+    (d) => Number.isFinite(d.x) && Number.isFinite(d.y)
+  );
+  let groups = [];
+  if (view === "density" && positioned.length > 0) {
+    groups = [[null, positioned]];
+  } else if (view === "cluster") {
+    groups = d3.groups(positioned, (d) => d.community);
+  }
+
+  const surfaces = groups.map(([community, members]) => ({
+    community,
+    ...densityContours(members, weight),
+  }));
+  const maxValue =
+    d3.max(surfaces, (s) => d3.max(s.contours, (c) => c.value)) || 1;
+  const color = d3.scaleSequential(d3.interpolateViridis).domain([0, maxValue]);
+  const path = d3.geoPath();
+
+  layer
+    .selectAll("g")
+    .data(surfaces)
+    .join("g")
+    .attr("transform", (s) => `translate(${s.x0},${s.y0})`)
+    .selectAll("path")
+    .data((s) => s.contours.map((contour) => ({ ...s, contour })))
+    .join("path")
+    .attr("d", (d) => path(d.contour))
+    // 等值线逐层叠加：密度图中越高的一层颜色越亮、越不透明；社区密度图中
+    // 每层半透明，叠加的层数越多颜色越深
+    .attr("fill", (d) =>
+      view === "cluster" ? colorOf(d.community) : color(d.contour.value)
+    )
+    .attr("fill-opacity", (d) =>
+      view === "cluster"
+        ? 1.5 / THRESHOLDS
+        : Math.min(1, 0.2 + d.contour.value / maxValue)
+    )
+    .attr("stroke", "none");
+};
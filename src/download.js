@@ -0,0 +1,17 @@
+// 下载工具：把文本或二进制内容保存为本地文件
+export const downloadFile = (content, filename, type) => {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// CSV 文件加上 BOM，以便 Excel 正确识别中文
+export const downloadCSV = (csv, filename) =>
+  downloadFile(`\uFEFF${csv}`, filename, "text/csv;charset=utf-8");
@@ -0,0 +1,82 @@
+// 主题演化：把各时期网络中检测出的社区视为主题，按共享关键词连接相邻时期的主题
+//
+// 两个主题之间的联系强度采用包含指数 |A∩B| / min(|A|, |B|)（A、B 为主题的关键词集合），
+// 取值为1表示较小的主题完全包含在另一个主题中。
+
+export const MIN_PERIODS = 2;
+export const MAX_PERIODS = 5;
+
+// 把年份范围尽量均匀地划分为若干个连续时期 [[起始, 结束], ...]
+export const defaultPeriods = ([minYear, maxYear], count) => {
+  const span = maxYear - minYear + 1;
+  const periodCount = Math.max(1, Math.min(count, span));
+  const periods = [];
+  let start = minYear;
+  for (let i = 0; i < periodCount; i++) {
+    const length =
+      Math.round((span * (i + 1)) / periodCount) -
+      Math.round((span * i) / periodCount);
+    periods.push([start, start + length - 1]);
+    start += length;
+  }
+  return periods;
+};
+
+// 把一个时期网络中的社区整理为主题，关键词按出现频率排列
+const buildThemes = (nodes, periodIndex) => {
+  const groups = new Map();
+  nodes.forEach((node) => {
+    if (!groups.has(node.community)) groups.set(node.community, []);
+    groups.get(node.community).push(node);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([community, members]) => {
+      const keywords = members
+        .sort((a, b) => b.count - a.count)
+        .map((node) => node.id);
+      return {
+        id: `${periodIndex}:${community}`,
+        period: periodIndex,
+        community,
+        keywords,
+        frequency: members.reduce((sum, node) => sum + node.count, 0),
+        label: keywords.slice(0, 3).join("、"),
+      };
+    });
+};
+
+// periodNetworks 为 [{ period: [起始, 结束], nodes }]，nodes 需已完成社区检测
+export const buildThemeEvolution = (periodNetworks) => {
+  const themesByPeriod = periodNetworks.map((network, i) =>
+    buildThemes(network.nodes, i)
+  );
+
+  const flows = [];
+  for (let i = 0; i + 1 < themesByPeriod.length; i++) {
+    themesByPeriod[i].forEach((source) => {
+      const sourceKeywords = new Set(source.keywords);
+      themesByPeriod[i + 1].forEach((target) => {
+        const shared = target.keywords.filter((keyword) =>
+          sourceKeywords.has(keyword)
+        );
+        if (shared.length === 0) return;
+        flows.push({
+          source,
+          target,
+          keywords: shared,
+          inclusion:
+            shared.length /
+            Math.min(source.keywords.length, target.keywords.length),
+        });
+      });
+    });
+  }
+
+  return {
+    periods: periodNetworks.map((network) => network.period),
+    themesByPeriod,
+    flows,
+  };
+};
@@ -0,0 +1,393 @@
+// 出版级图片导出：按物理尺寸和分辨率导出 SVG、PNG、TIFF 和 PDF
+//
+// 导出前克隆当前的 SVG，按选项去掉图例或水印、替换背景并统一字体。可以上传
+// 字体文件嵌入到导出结果中（SVG/PNG/TIFF 通过 @font-face，PDF 通过 jsPDF），
+// 以保证中文在没有安装该字体的电脑上也能正确显示。
+
+import { jsPDF } from "jspdf";
+import "svg2pdf.js";
+import { downloadFile } from "./download";
+
+const MM_PER_INCH = 25.4;
+const CSS_DPI = 96;
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// 上传字体在导出文件中使用的字体名称
+const EMBEDDED_FONT = "EmbeddedFigureFont";
+
+export const FIGURE_FORMATS = {
+  png: "PNG",
+  tiff: "TIFF",
+  pdf: "PDF",
+  svg: "SVG",
+};
+
+// 常见期刊的栏宽
+export const FIGURE_WIDTHS = [
+  { value: 89, label: "单栏 (89 mm)" },
+  { value: 120, label: "1.5栏 (120 mm)" },
+  { value: 183, label: "双栏 (183 mm)" },
+];
+
+export const FIGURE_DPIS = [150, 300, 600];
+
+export const FIGURE_BACKGROUNDS = {
+  theme: "跟随当前风格",
+  white: "白色",
+  transparent: "透明",
+};
+
+export const FIGURE_FONTS = {
+  arial: { label: "Arial", family: "Arial, Helvetica, sans-serif" },
+  times: {
+    label: "Times New Roman",
+    family: "'Times New Roman', Times, serif",
+  },
+  song: {
+    label: "宋体",
+    family: "SimSun, 'Songti SC', 'Noto Serif CJK SC', serif",
+  },
+  hei: {
+    label: "黑体",
+    family: "SimHei, 'Heiti SC', 'Noto Sans CJK SC', sans-serif",
+  },
+  yahei: {
+    label: "微软雅黑",
+    family: "'Microsoft YaHei', 'PingFang SC', sans-serif",
+  },
+  embedded: { label: "上传的字体文件", family: `'${EMBEDDED_FONT}'` },
+};
+
+export const DEFAULT_FIGURE_OPTIONS = {
+  format: "png",
+  widthMm: 183, // null 表示按屏幕尺寸（96 DPI）换算
+  heightMm: null, // null 表示按当前图的宽高比计算
+  dpi: 300,
+  background: "theme",
+  font: "arial",
+  includeLegend: true,
+  includeWatermark: true,
+};
+
+const FONT_FORMATS = {
+  ttf: "truetype",
+  otf: "opentype",
+  woff: "woff",
+  woff2: "woff2",
+};
+
+// 读取上传的字体文件：{ name, format, base64 }
+export const readFontFile = (file) =>
+  file.arrayBuffer().then((buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    const extension = file.name.split(".").pop().toLowerCase();
+    return {
+      name: file.name,
+      format: FONT_FORMATS[extension] ? extension : "ttf",
+      base64: btoa(binary),
+    };
+  });
+
+// 屏幕上 SVG 的坐标范围
+const viewSize = (svgElement) => {
+  const viewBox = svgElement.viewBox && svgElement.viewBox.baseVal;
+  if (viewBox && viewBox.width > 0) {
+    return { width: viewBox.width, height: viewBox.height };
+  }
+  return {
+    width: svgElement.clientWidth || 800,
+    height: svgElement.clientHeight || 600,
+  };
+};
+
+// 导出图片的物理尺寸（毫米）
+export const figureSize = (svgElement, options) => {
+  const { width, height } = viewSize(svgElement);
+  const widthMm = options.widthMm || (width / CSS_DPI) * MM_PER_INCH;
+  const heightMm = options.heightMm || (widthMm * height) / width;
+  return { widthMm, heightMm };
+};
+
+// 按选项克隆并整理 SVG
+const buildFigureSVG = (svgElement, options, context) => {
+  const { width, height } = viewSize(svgElement);
+  const { widthMm, heightMm } = figureSize(svgElement, options);
+  const svg = svgElement.cloneNode(true);
+
+  svg.setAttribute("xmlns", SVG_NS);
+  svg.setAttribute("width", `${widthMm}mm`);
+  svg.setAttribute("height", `${heightMm}mm`);
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.removeAttribute("class");
+
+  if (!options.includeLegend) {
+    svg.querySelectorAll(".legend").forEach((element) => element.remove());
+  }
+  if (!options.includeWatermark) {
+    svg.querySelectorAll(".watermark").forEach((element) => element.remove());
+  }
+
+  // 屏幕上的网格底纹不导出，改为所选的纯色背景
+  svg.querySelectorAll(".background").forEach((element) => element.remove());
+  if (options.background !== "transparent") {
+    const rect = document.createElementNS(SVG_NS, "rect");
+    rect.setAttribute("width", width);
+    rect.setAttribute("height", height);
+    rect.setAttribute(
+      "fill",
+      options.background === "white" ? "#ffffff" : context.backgroundColor
+    );
+    svg.insertBefore(rect, svg.firstChild);
+  }
+
+  // 统一字体：直接写在文字元素上，PDF 转换也能识别
+  const font = FIGURE_FONTS[options.font] || FIGURE_FONTS.arial;
+  svg.querySelectorAll("text").forEach((text) => {
+    text.setAttribute("font-family", font.family);
+  });
+  if (options.font === "embedded" && context.customFont) {
+    const style = document.createElementNS(SVG_NS, "style");
+    const { format, base64 } = context.customFont;
+    style.textContent = `@font-face { font-family: '${EMBEDDED_FONT}'; src: url(data:font/${format};base64,${base64}) format('${FONT_FORMATS[format]}'); }`;
+    svg.insertBefore(style, svg.firstChild);
+  }
+
+  const title = document.createElementNS(SVG_NS, "title");
+  title.textContent = context.title;
+  svg.appendChild(title);
+  const desc = document.createElementNS(SVG_NS, "desc");
+  desc.textContent = context.description;
+  svg.appendChild(desc);
+
+  return { svg, widthMm, heightMm };
+};
+
+const serializeSVG = (svg) =>
+  '<?xml version="1.0" standalone="no"?>\n' +
+  new XMLSerializer().serializeToString(svg);
+
+// 把 SVG 绘制到指定像素尺寸的画布上
+const rasterize = (svgString, pixelWidth, pixelHeight) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([svgString], { type: "image/svg+xml;charset=utf-8" })
+    );
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
+      canvas.getContext("2d").drawImage(img, 0, 0, pixelWidth, pixelHeight);
+      URL.revokeObjectURL(url);
+      resolve(canvas);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("无法绘制图片"));
+    };
+    img.src = url;
+  });
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// 在 PNG 的 IHDR 之后插入 pHYs 块，写入分辨率（每米像素数）
+const withPngResolution = (buffer, dpi) => {
+  const png = new Uint8Array(buffer);
+  const pixelsPerMeter = Math.round((dpi / MM_PER_INCH) * 1000);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // 单位：米
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // 8字节文件头 + IHDR（4长度 + 4类型 + 13数据 + 4校验）
+  const ihdrEnd = 8 + 25;
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, ihdrEnd), 0);
+  result.set(chunk, ihdrEnd);
+  result.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return result;
+};
+
+// 未压缩的 RGBA TIFF（小端序），带分辨率标签
+const encodeTIFF = (imageData, dpi) => {
+  const { width, height, data } = imageData;
+  const entries = [
+    [256, 4, 1, width], // ImageWidth
+    [257, 4, 1, height], // ImageLength
+    [258, 3, 4, "bits"], // BitsPerSample
+    [259, 3, 1, 1], // Compression：不压缩
+    [262, 3, 1, 2], // PhotometricInterpretation：RGB
+    [273, 4, 1, "pixels"], // StripOffsets
+    [277, 3, 1, 4], // SamplesPerPixel
+    [278, 4, 1, height], // RowsPerStrip
+    [279, 4, 1, data.length], // StripByteCounts
+    [282, 5, 1, "xres"], // XResolution
+    [283, 5, 1, "yres"], // YResolution
+    [284, 3, 1, 1], // PlanarConfiguration
+    [296, 3, 1, 2], // ResolutionUnit：英寸
+    [338, 3, 1, 2], // ExtraSamples：非预乘透明度
+  ];
+
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const offsets = { bits: 8 + ifdSize };
+  offsets.xres = offsets.bits + 8;
+  offsets.yres = offsets.xres + 8;
+  offsets.pixels = offsets.yres + 8;
+
+  const buffer = new ArrayBuffer(offsets.pixels + data.length);
+  const view = new DataView(buffer);
+  view.setUint16(0, 0x4949); // "II"
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+
+  view.setUint16(8, entries.length, true);
+  entries.forEach(([tag, type, count, value], i) => {
+    const position = 10 + i * 12;
+    view.setUint16(position, tag, true);
+    view.setUint16(position + 2, type, true);
+    view.setUint32(position + 4, count, true);
+    if (typeof value === "string") {
+      view.setUint32(position + 8, offsets[value], true);
+    } else if (type === 3) {
+      view.setUint16(position + 8, value, true);
+    } else {
+      view.setUint32(position + 8, value, true);
+    }
+  });
+  view.setUint32(10 + entries.length * 12, 0, true);
+
+  for (let i = 0; i < 4; i++) view.setUint16(offsets.bits + i * 2, 8, true);
+  ["xres", "yres"].forEach((key) => {
+    view.setUint32(offsets[key], dpi, true);
+    view.setUint32(offsets[key] + 4, 1, true);
+  });
+  new Uint8Array(buffer, offsets.pixels).set(data);
+
+  return new Blob([buffer], { type: "image/tiff" });
+};
+
+const canvasToBlob = (canvas) =>
+  new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+
+// 图中按选项保留的文字（不含被去掉的图例和水印）
+const figureText = (svg, options) =>
+  Array.from(svg.querySelectorAll("text"))
+    .filter(
+      (text) =>
+        (options.includeLegend || !text.closest(".legend")) &&
+        (options.includeWatermark || !text.closest(".watermark"))
+    )
+    .map((text) => text.textContent)
+    .join("");
+
+const embedsTTF = (options, customFont) =>
+  options.font === "embedded" &&
+  Boolean(customFont) &&
+  customFont.format === "ttf";
+
+// 导出 PDF 时是否嵌入位图：jsPDF 内置字体不含中文，图中有非拉丁字符（默认的
+// 图例和水印就是中文）又没有上传 TrueType 字体时无法保持矢量文字
+export const pdfRasterized = (svgElement, options, customFont) =>
+  !embedsTTF(options, customFont) &&
+  /[^\s\u0020-\u00ff]/.test(figureText(svgElement, options));
+
+// 导出 PDF：没有非拉丁字符或上传了 TrueType 字体时生成矢量 PDF，
+// 否则按所选分辨率嵌入位图
+const exportPDF = (figure, svgString, pixelSize, options, context) => {
+  const { svg, widthMm, heightMm } = figure;
+  const doc = new jsPDF({
+    unit: "mm",
+    format: [widthMm, heightMm],
+    orientation: widthMm > heightMm ? "landscape" : "portrait",
+  });
+
+  if (!pdfRasterized(svg, options, context.customFont)) {
+    if (embedsTTF(options, context.customFont)) {
+      doc.addFileToVFS("embedded.ttf", context.customFont.base64);
+      doc.addFont("embedded.ttf", EMBEDDED_FONT, "normal");
+      doc.addFont("embedded.ttf", EMBEDDED_FONT, "bold");
+    }
+    // svg2pdf 需要读取计算样式，临时挂到页面上
+    const holder = document.createElement("div");
+    holder.style.position = "absolute";
+    holder.style.left = "-10000px";
+    holder.appendChild(svg);
+    document.body.appendChild(holder);
+    return doc
+      .svg(svg, { x: 0, y: 0, width: widthMm, height: heightMm })
+      .then(() => doc.save(`${context.filename}.pdf`))
+      .finally(() => document.body.removeChild(holder));
+  }
+
+  return rasterize(svgString, ...pixelSize).then((canvas) => {
+    doc.addImage(canvas, "PNG", 0, 0, widthMm, heightMm);
+    doc.save(`${context.filename}.pdf`);
+  });
+};
+
+// 按选项导出当前网络图。context 为 { filename, title, description,
+// backgroundColor, customFont }
+export const exportFigure = (svgElement, options, context) => {
+  const figure = buildFigureSVG(svgElement, options, context);
+  const svgString = serializeSVG(figure.svg);
+  const pixelWidth = Math.round((figure.widthMm / MM_PER_INCH) * options.dpi);
+  const pixelHeight = Math.round((figure.heightMm / MM_PER_INCH) * options.dpi);
+
+  if (options.format === "svg") {
+    downloadFile(svgString, `${context.filename}.svg`, "image/svg+xml");
+    return Promise.resolve();
+  }
+
+  if (options.format === "pdf") {
+    return exportPDF(
+      figure,
+      svgString,
+      [pixelWidth, pixelHeight],
+      options,
+      context
+    );
+  }
+
+  return rasterize(svgString, pixelWidth, pixelHeight).then((canvas) => {
+    if (options.format === "tiff") {
+      const imageData = canvas
+        .getContext("2d")
+        .getImageData(0, 0, pixelWidth, pixelHeight);
+      downloadFile(
+        encodeTIFF(imageData, options.dpi),
+        `${context.filename}.tiff`
+      );
+      return undefined;
+    }
+    return canvasToBlob(canvas)
+      .then((blob) => blob.arrayBuffer())
+      .then((buffer) => {
+        downloadFile(
+          new Blob([withPngResolution(buffer, options.dpi)], {
+            type: "image/png",
+          }),
+          `${context.filename}.png`
+        );
+      });
+  });
+};
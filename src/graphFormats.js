@@ -0,0 +1,370 @@
+// 网络数据的交换格式：导出为 GEXF、GraphML、Pajek 和 VOSviewer 文件，
+// 以及从 GEXF、GraphML 导入网络
+//
+// 导出的节点属性包括出现频率、社区、各项中心性指标和当前布局中的坐标；
+// 连线带有权重（当前度量）和原始共现次数。导入时读取原始共现次数，
+// 坐标作为初始布局。
+
+import { NODE_METRICS } from "./centrality";
+
+const CENTRALITY_KEYS = Object.keys(NODE_METRICS).filter(
+  (key) => key !== "count"
+);
+
+const linkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+const escapeXML = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const coordinate = (value) => (Number.isFinite(value) ? value : 0);
+
+// 节点的导出属性：[名称, 类型, 取值函数]
+const nodeAttributes = (communityNames) => [
+  ["count", "integer", (node) => node.count],
+  ["community", "integer", (node) => node.community],
+  [
+    "community_name",
+    "string",
+    (node) => (communityNames && communityNames.get(node.community)) || "",
+  ],
+  ...CENTRALITY_KEYS.map((key) => [
+    key,
+    "double",
+    (node) => (node.centrality ? node.centrality[key] : 0),
+  ]),
+];
+
+export const toGEXF = ({ nodes, links }, communityNames) => {
+  const attributes = nodeAttributes(communityNames);
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    "  <meta>",
+    "    <description>关键词共现网络</description>",
+    "  </meta>",
+    '  <graph mode="static" defaultedgetype="undirected">',
+    '    <attributes class="node">',
+    ...attributes.map(
+      ([name, type], i) =>
+        `      <attribute id="${i}" title="${name}" type="${type}"/>`
+    ),
+    "    </attributes>",
+    '    <attributes class="edge">',
+    '      <attribute id="0" title="cooccurrence" type="double"/>',
+    "    </attributes>",
+    "    <nodes>",
+  ];
+
+  nodes.forEach((node, i) => {
+    lines.push(`      <node id="n${i}" label="${escapeXML(node.id)}">`);
+    lines.push("        <attvalues>");
+    attributes.forEach(([, , value], j) => {
+      lines.push(
+        `          <attvalue for="${j}" value="${escapeXML(value(node))}"/>`
+      );
+    });
+    lines.push("        </attvalues>");
+    lines.push(
+      `        <viz:position x="${coordinate(node.x)}" y="${coordinate(
+        node.y
+      )}" z="0"/>`
+    );
+    lines.push("      </node>");
+  });
+
+  lines.push("    </nodes>", "    <edges>");
+  links.forEach((link, i) => {
+    const source = index.get(linkEndId(link.source));
+    const target = index.get(linkEndId(link.target));
+    lines.push(
+      `      <edge id="e${i}" source="n${source}" target="n${target}" weight="${link.value}">`,
+      "        <attvalues>",
+      `          <attvalue for="0" value="${link.cooccurrence}"/>`,
+      "        </attvalues>",
+      "      </edge>"
+    );
+  });
+  lines.push("    </edges>", "  </graph>", "</gexf>");
+
+  return lines.join("\n");
+};
+
+export const toGraphML = ({ nodes, links }, communityNames) => {
+  const attributes = [
+    ...nodeAttributes(communityNames),
+    ["x", "double", (node) => coordinate(node.x)],
+    ["y", "double", (node) => coordinate(node.y)],
+  ];
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    ...attributes.map(
+      ([name, type]) =>
+        `  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`
+    ),
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="cooccurrence" for="edge" attr.name="cooccurrence" attr.type="double"/>',
+    '  <graph id="keywords" edgedefault="undirected">',
+  ];
+
+  nodes.forEach((node, i) => {
+    lines.push(`    <node id="n${i}">`);
+    lines.push(`      <data key="label">${escapeXML(node.id)}</data>`);
+    attributes.forEach(([name, , value]) => {
+      lines.push(`      <data key="${name}">${escapeXML(value(node))}</data>`);
+    });
+    lines.push("    </node>");
+  });
+
+  links.forEach((link) => {
+    const source = index.get(linkEndId(link.source));
+    const target = index.get(linkEndId(link.target));
+    lines.push(
+      `    <edge source="n${source}" target="n${target}">`,
+      `      <data key="weight">${link.value}</data>`,
+      `      <data key="cooccurrence">${link.cooccurrence}</data>`,
+      "    </edge>"
+    );
+  });
+  lines.push("  </graph>", "</graphml>");
+
+  return lines.join("\n");
+};
+
+// Pajek .net：顶点编号从1开始，坐标归一化到 [0,1]
+export const toPajek = ({ nodes, links }) => {
+  const xs = nodes.map((node) => coordinate(node.x));
+  const ys = nodes.map((node) => coordinate(node.y));
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  const index = new Map(nodes.map((node, i) => [node.id, i + 1]));
+
+  const lines = [`*Vertices ${nodes.length}`];
+  nodes.forEach((node, i) => {
+    const label = node.id.replace(/"/g, "'");
+    const x = ((xs[i] - minX) / span).toFixed(4);
+    const y = ((ys[i] - minY) / span).toFixed(4);
+    lines.push(`${i + 1} "${label}" ${x} ${y} 0.5`);
+  });
+  lines.push("*Edges");
+  links.forEach((link) => {
+    lines.push(
+      `${index.get(linkEndId(link.source))} ${index.get(
+        linkEndId(link.target)
+      )} ${link.value}`
+    );
+  });
+
+  return lines.join("\r\n");
+};
+
+// VOSviewer 的 map 文件和 network 文件（制表符分隔）。VOSviewer 的聚类
+// 编号从1开始，纵轴向上为正，因此社区编号加1、纵坐标取反。
+export const toVOSviewer = ({ nodes, links }) => {
+  const index = new Map(nodes.map((node, i) => [node.id, i + 1]));
+  const map = [
+    ["id", "label", "x", "y", "cluster", "weight<Occurrences>"].join("\t"),
+    ...nodes.map((node, i) =>
+      [
+        i + 1,
+        node.id.replace(/[\t\r\n]/g, " "),
+        coordinate(node.x).toFixed(4),
+        (-coordinate(node.y)).toFixed(4),
+        node.community + 1,
+        node.count,
+      ].join("\t")
+    ),
+  ];
+  const network = links.map((link) =>
+    [
+      index.get(linkEndId(link.source)),
+      index.get(linkEndId(link.target)),
+      link.value,
+    ].join("\t")
+  );
+
+  return { map: map.join("\n"), network: network.join("\n") };
+};
+
+// GEXF 中节点或连线（kind 为 "node" 或 "edge"）的属性 id 到名称的映射
+const gexfAttributes = (doc, kind) => {
+  const titles = new Map();
+  doc.querySelectorAll("attributes").forEach((group) => {
+    if (group.getAttribute("class") !== kind) return;
+    group.querySelectorAll("attribute").forEach((attribute) => {
+      titles.set(
+        attribute.getAttribute("id"),
+        attribute.getAttribute("title") || attribute.getAttribute("id")
+      );
+    });
+  });
+  return titles;
+};
+
+const gexfValues = (element, titles) => {
+  const values = {};
+  element.querySelectorAll("attvalue").forEach((attvalue) => {
+    const key = attvalue.getAttribute("for") || attvalue.getAttribute("id");
+    values[titles.get(key) || key] = attvalue.getAttribute("value");
+  });
+  return values;
+};
+
+// 文件中的坐标，没有时为 undefined
+const parseCoordinate = (value) =>
+  value === null || value === undefined || value === ""
+    ? undefined
+    : Number(value);
+
+const parseGEXF = (doc) => {
+  const nodeTitles = gexfAttributes(doc, "node");
+  const edgeTitles = gexfAttributes(doc, "edge");
+  const labels = new Map();
+  const nodes = [];
+  doc.querySelectorAll("node").forEach((element) => {
+    const id = element.getAttribute("id");
+    const label = element.getAttribute("label") || id;
+    const values = gexfValues(element, nodeTitles);
+    const position = element.getElementsByTagNameNS("*", "position")[0];
+    labels.set(id, label);
+    nodes.push({
+      id: label,
+      count: Number(values.count),
+      x: position && parseCoordinate(position.getAttribute("x")),
+      y: position && parseCoordinate(position.getAttribute("y")),
+    });
+  });
+
+  // 本程序导出的 weight 是当前度量下的权重，原始共现次数在 cooccurrence 属性中
+  const links = [];
+  doc.querySelectorAll("edge").forEach((element) => {
+    const values = gexfValues(element, edgeTitles);
+    links.push({
+      source: labels.get(element.getAttribute("source")),
+      target: labels.get(element.getAttribute("target")),
+      value: Number(values.cooccurrence || element.getAttribute("weight") || 1),
+    });
+  });
+  return { nodes, links };
+};
+
+const parseGraphML = (doc) => {
+  // key 的 id 与属性名不一定相同，按 attr.name 查找
+  const keyNames = new Map();
+  doc.querySelectorAll("key").forEach((key) => {
+    keyNames.set(
+      key.getAttribute("id"),
+      key.getAttribute("attr.name") || key.getAttribute("id")
+    );
+  });
+  const dataOf = (element) => {
+    const values = {};
+    element.querySelectorAll("data").forEach((data) => {
+      const key = data.getAttribute("key");
+      values[keyNames.get(key) || key] = data.textContent;
+    });
+    return values;
+  };
+
+  const labels = new Map();
+  const nodes = [];
+  doc.querySelectorAll("node").forEach((element) => {
+    const id = element.getAttribute("id");
+    const values = dataOf(element);
+    const label = values.label || values.Label || values.name || id;
+    labels.set(id, label);
+    nodes.push({
+      id: label,
+      count: Number(values.count),
+      x: parseCoordinate(values.x),
+      y: parseCoordinate(values.y),
+    });
+  });
+
+  const links = [];
+  doc.querySelectorAll("edge").forEach((element) => {
+    const values = dataOf(element);
+    links.push({
+      source: labels.get(element.getAttribute("source")),
+      target: labels.get(element.getAttribute("target")),
+      value: Number(values.cooccurrence || values.weight || values.Weight || 1),
+    });
+  });
+  return { nodes, links };
+};
+
+// 解析 GEXF 或 GraphML 文本，返回 { nodes: [{ id, count, x, y }], links: [{ source, target, value }] }。
+// 文件中没有出现频率属性时以加权度代替，没有坐标时 x、y 为 undefined。
+// 连线的 value 为原始共现次数，没有 cooccurrence 属性时取 weight。
+export const parseGraphFile = (text) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror")) {
+    throw new Error("无法解析XML文件");
+  }
+
+  const root = doc.documentElement.nodeName.toLowerCase();
+  let graph;
+  if (root === "gexf") {
+    graph = parseGEXF(doc);
+  } else if (root === "graphml") {
+    graph = parseGraphML(doc);
+  } else {
+    throw new Error("仅支持GEXF和GraphML格式的网络文件");
+  }
+
+  // 节点按标签合并：标签重复的节点视为同一个关键词，保留第一个节点的坐标，
+  // 出现频率取较大值
+  const byLabel = new Map();
+  graph.nodes.forEach((node) => {
+    const existing = byLabel.get(node.id);
+    if (!existing) {
+      byLabel.set(node.id, { ...node });
+    } else if (!(existing.count >= node.count)) {
+      existing.count = node.count;
+    }
+  });
+
+  // 连线按无序的标签对合并：双向给出的连线（a→b 与 b→a）和重复标签之间的
+  // 连线记录的是同一对关键词的共现，只保留一条，取较大的共现值
+  const merged = new Map();
+  graph.links.forEach((link) => {
+    if (
+      !byLabel.has(link.source) ||
+      !byLabel.has(link.target) ||
+      link.source === link.target ||
+      !(link.value > 0)
+    ) {
+      return;
+    }
+    const key = [link.source, link.target].sort().join("\u0000");
+    const existing = merged.get(key);
+    if (!existing || link.value > existing.value) merged.set(key, link);
+  });
+  const links = [...merged.values()];
+
+  const strength = new Map();
+  links.forEach((link) => {
+    strength.set(link.source, (strength.get(link.source) || 0) + link.value);
+    strength.set(link.target, (strength.get(link.target) || 0) + link.value);
+  });
+  const nodes = [...byLabel.values()].map((node) => ({
+    id: node.id,
+    count:
+      Number.isFinite(node.count) && node.count > 0
+        ? node.count
+        : strength.get(node.id) || 1,
+    x: node.x,
+    y: node.y,
+  }));
+
+  return { nodes, links };
+};
@@ -0,0 +1,301 @@
+import Papa from "papaparse";
+
+// 文献数据导入：识别导出格式并解析为 { rows, fields } 形式的原始记录，
+// 之后统一交给列映射步骤转换为论文记录。
+
+export const FORMAT_LABELS = {
+  csv: "CSV",
+  "scopus-csv": "Scopus CSV",
+  "wos-plain": "Web of Science 纯文本",
+  "wos-tab": "Web of Science 制表符分隔",
+  refworks: "Refworks（CNKI/万方）",
+  noteexpress: "NoteExpress（CNKI/万方）",
+  endnote: "EndNote（CNKI/万方）",
+  "cnki-custom": "CNKI 自定义",
+};
+
+// 字段标识格式：每行的解析规则及标志新记录开始的字段
+const TAGGED_FORMATS = {
+  refworks: { line: /^([A-Z][A-Z0-9]) (.*)$/, start: "RT" },
+  noteexpress: { line: /^\{([^}]+)\}:\s*(.*)$/, start: "Reference Type" },
+  endnote: { line: /^(%\S) ?(.*)$/, start: "%0" },
+  "cnki-custom": {
+    line: /^([A-Za-z]+-[^:：]+)[:：]\s*(.*)$/,
+    start: "SrcDatabase-来源库",
+  },
+};
+
+// Web of Science 纯文本中可能包含多个值（每行一个）的字段
+const WOS_MULTI_VALUE_TAGS = new Set([
+  "AU",
+  "AF",
+  "BA",
+  "BF",
+  "CA",
+  "C1",
+  "CR",
+]);
+
+// 用于去重的记录唯一标识列（WoS入藏号、Scopus EID）
+const RECORD_ID_FIELDS = ["UT", "EID"];
+
+// CSV 流式解析时每块的字符数
+const CSV_CHUNK_SIZE = 1024 * 1024;
+
+const stripBOM = (text) => text.replace(/^\uFEFF/, "");
+
+// GBK 与 GB18030 的区别在于是否出现四字节序列（第二字节为数字 0x30-0x39）
+const hasFourByteSequence = (bytes) => {
+  for (let i = 0; i < bytes.length - 1; i++) {
+    if (bytes[i] < 0x80) continue;
+    if (bytes[i + 1] >= 0x30 && bytes[i + 1] <= 0x39) return true;
+    i++;
+  }
+  return false;
+};
+
+// 检测字节内容的编码：UTF-8（含BOM）、UTF-16（含BOM）或 GBK/GB18030
+export const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return "UTF-8-BOM";
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return "UTF-16LE";
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return "UTF-16BE";
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return "UTF-8";
+  } catch (err) {
+    return hasFourByteSequence(bytes) ? "GB18030" : "GBK";
+  }
+};
+
+const DECODER_LABELS = {
+  "UTF-8-BOM": "utf-8",
+  "UTF-8": "utf-8",
+  "UTF-16LE": "utf-16le",
+  "UTF-16BE": "utf-16be",
+  GBK: "gbk",
+  GB18030: "gb18030",
+};
+
+// 读取文件并自动识别编码，返回 { text, encoding }
+export const readFileDecoded = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const bytes = new Uint8Array(e.target.result);
+      const encoding = detectEncoding(bytes);
+      const text = new TextDecoder(DECODER_LABELS[encoding]).decode(bytes);
+      resolve({ text, encoding });
+    };
+    reader.onerror = () => reject(new Error(`文件 ${file.name} 读取失败`));
+    reader.readAsArrayBuffer(file);
+  });
+
+// 识别文件格式
+export const detectFormat = (text) => {
+  const head = stripBOM(text).replace(/^\s+/, "").slice(0, 4096);
+  const firstLine = head.split(/\r?\n/, 1)[0];
+
+  if (/^(FN|PT) /.test(head) && /^ER\s*$/m.test(text)) return "wos-plain";
+  if (/^PT\t/.test(firstLine)) return "wos-tab";
+
+  const taggedFormat = Object.keys(TAGGED_FORMATS).find((format) => {
+    const match = firstLine.match(TAGGED_FORMATS[format].line);
+    return match && match[1] === TAGGED_FORMATS[format].start;
+  });
+  if (taggedFormat) return taggedFormat;
+
+  const columns = firstLine
+    .toLowerCase()
+    .split(",")
+    .map((column) => column.replace(/"/g, "").trim());
+  if (
+    columns.includes("eid") ||
+    (columns.includes("author keywords") && columns.includes("source title"))
+  ) {
+    return "scopus-csv";
+  }
+
+  return "csv";
+};
+
+// 解析 Web of Science 纯文本（字段标识）格式
+export const parseWosPlainText = (text) => {
+  const rows = [];
+  const fields = [];
+  let record = null;
+  let tag = null;
+
+  const addValue = (value, continued) => {
+    if (!fields.includes(tag)) fields.push(tag);
+    if (record[tag] === undefined) {
+      record[tag] = value;
+    } else if (continued && !WOS_MULTI_VALUE_TAGS.has(tag)) {
+      record[tag] += ` ${value}`;
+    } else {
+      record[tag] += `; ${value}`;
+    }
+  };
+
+  stripBOM(text)
+    .split(/\r?\n/)
+    .forEach((line) => {
+      if (/^ER\s*$/.test(line)) {
+        if (record) rows.push(record);
+        record = null;
+        tag = null;
+        return;
+      }
+
+      const match = line.match(/^([A-Z][A-Z0-9])(?: (.*))?$/);
+      if (match) {
+        const [, lineTag, value = ""] = match;
+        // 文件头和文件尾标记不属于任何记录
+        if (["FN", "VR", "EF"].includes(lineTag)) return;
+        if (!record) record = {};
+        tag = lineTag;
+        addValue(value.trim(), false);
+      } else if (record && tag && /^\s+\S/.test(line)) {
+        addValue(line.trim(), true);
+      }
+    });
+
+  if (record) rows.push(record);
+
+  return { rows, fields };
+};
+
+// 解析 Refworks、NoteExpress、EndNote 及 CNKI 自定义等字段标识格式，
+// 同一字段重复出现（如EndNote每位作者一行 %A）时以分号合并
+export const parseTaggedRecords = (text, format) => {
+  const { line: linePattern, start } = TAGGED_FORMATS[format];
+  const rows = [];
+  const fields = [];
+  let record = null;
+  let tag = null;
+
+  stripBOM(text)
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const match = line.match(linePattern);
+      if (match) {
+        const [, lineTag, value] = match;
+        if (lineTag === start || !record) {
+          if (record) rows.push(record);
+          record = {};
+        }
+        tag = lineTag;
+        if (!fields.includes(tag)) fields.push(tag);
+        const trimmed = value.trim();
+        record[tag] =
+          record[tag] === undefined ? trimmed : `${record[tag]}; ${trimmed}`;
+      } else if (record && tag && line.trim().length > 0) {
+        // 续行：属于上一个字段
+        record[tag] += ` ${line.trim()}`;
+      }
+    });
+
+  if (record) rows.push(record);
+
+  return { rows, fields };
+};
+
+// 解析 Web of Science 制表符分隔格式（字段内不使用引号，不能按CSV规则解析）
+export const parseWosTabDelimited = (text) => {
+  const lines = stripBOM(text)
+    .split(/\r?\n/)
+    .filter((line) => line.trim().length > 0);
+  if (lines.length === 0) return { rows: [], fields: [] };
+
+  const fields = lines[0].split("\t").map((field) => field.trim());
+  const rows = lines.slice(1).map((line) => {
+    const values = line.split("\t");
+    const row = {};
+    fields.forEach((field, i) => {
+      if (field) row[field] = values[i] === undefined ? "" : values[i].trim();
+    });
+    return row;
+  });
+
+  return { rows, fields: fields.filter((field) => field.length > 0) };
+};
+
+// 解析CSV（包括Scopus导出的CSV）。按块流式解析，每块解析后调用
+// onProgress(已解析字符数, 总字符数)
+export const parseCSV = (text, onProgress) => {
+  const source = stripBOM(text);
+  const rows = [];
+  let fields = [];
+  let firstError = null;
+
+  Papa.parse(source, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    chunkSize: CSV_CHUNK_SIZE,
+    chunk: (results) => {
+      results.data.forEach((row) => rows.push(row));
+      if (results.meta.fields) fields = results.meta.fields;
+      if (!firstError && results.errors.length > 0) {
+        firstError = results.errors[0];
+      }
+      if (onProgress) onProgress(results.meta.cursor, source.length);
+    },
+  });
+
+  if (rows.length === 0 && firstError) {
+    throw new Error(`解析CSV时出错: ${firstError.message}`);
+  }
+
+  return { rows, fields };
+};
+
+// 识别格式并解析单个文件；onProgress 见 parseCSV
+export const parseImportFile = ({ text, encoding }, onProgress) => {
+  const format = detectFormat(text);
+  let parsed;
+
+  if (format === "wos-plain") {
+    parsed = parseWosPlainText(text);
+  } else if (format === "wos-tab") {
+    parsed = parseWosTabDelimited(text);
+  } else if (TAGGED_FORMATS[format]) {
+    parsed = parseTaggedRecords(text, format);
+  } else {
+    parsed = parseCSV(text, onProgress);
+  }
+
+  return { format, encoding, ...parsed };
+};
+
+// 合并多个文件（如WoS每500条一个的分卷导出），按记录标识去重
+export const mergeImports = (imports) => {
+  const fields = [];
+  const rows = [];
+  const seen = new Set();
+
+  imports.forEach((imported) => {
+    imported.fields.forEach((field) => {
+      if (!fields.includes(field)) fields.push(field);
+    });
+
+    imported.rows.forEach((row) => {
+      const idField = RECORD_ID_FIELDS.find((field) => row[field]);
+      if (idField) {
+        const id = `${idField}:${row[idField]}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+      }
+      rows.push(row);
+    });
+  });
+
+  const formats = [...new Set(imports.map((imported) => imported.format))];
+  const encodings = [
+    ...new Set(imports.map((imported) => imported.encoding).filter(Boolean)),
+  ];
+
+  return { rows, fields, formats, encodings };
+};
@@ -0,0 +1,100 @@
+// 关键词统计：从论文记录中提取关键词频率、发表年份和两两共现强度
+//
+// 共现关系按关键词建立邻接表（关键词 → 共现关键词 → 强度），每个关键词的
+// 连接直接从自己的邻接表读出，总耗时与共现对的数量成正比。
+
+import * as d3 from "d3";
+import { buildThesaurusMap, cleanKeywords } from "./normalize";
+import { tokenizeKeywords } from "./tokenize";
+import { pairIncrement } from "./linkWeights";
+
+// 每处理这么多条记录报告一次进度
+const PROGRESS_INTERVAL = 500;
+
+// 累加一对关键词的共现强度，两个方向同时记录
+const addCooccurrence = (adjacency, a, b, counting, increment) => {
+  const strength =
+    counting === "binary" ? 1 : (adjacency.get(a).get(b) || 0) + increment;
+  adjacency.get(a).set(b, strength);
+  adjacency.get(b).set(a, strength);
+};
+
+// 提取关键词和共现关系，返回按频率排序的
+// [{ keyword, count, percentage, years, meanYear, medianYear, connections,
+//    paperIndices }]，paperIndices 为包含该关键词的论文在 papers 中的下标。
+// onProgress(phase, done, total) 可选，用于报告进度。
+export const extractKeywords = (papers, options, onProgress) => {
+  const { tokenization, normalization, thesaurusEntries, counting } = options;
+  const thesaurusMap = buildThesaurusMap(thesaurusEntries, normalization);
+  const report = onProgress || (() => {});
+
+  // 每个关键词的频率、所在论文的发表年份和下标，以及共现邻接表
+  const keywordFreq = new Map();
+  const keywordYears = new Map();
+  const keywordPapers = new Map();
+  const adjacency = new Map();
+
+  papers.forEach((paper, index) => {
+    if (index % PROGRESS_INTERVAL === 0) {
+      report("统计关键词", index, papers.length);
+    }
+    if (!paper.Keywords) return;
+
+    // 按所有分隔符同时切分，再规范化写法并按同义词表合并、删除
+    const keywords = cleanKeywords(
+      tokenizeKeywords(paper.Keywords, tokenization),
+      normalization,
+      thesaurusMap
+    );
+
+    keywords.forEach((keyword) => {
+      if (!keywordFreq.has(keyword)) {
+        keywordFreq.set(keyword, 0);
+        keywordYears.set(keyword, []);
+        keywordPapers.set(keyword, []);
+        adjacency.set(keyword, new Map());
+      }
+      keywordFreq.set(keyword, keywordFreq.get(keyword) + 1);
+      keywordPapers.get(keyword).push(index);
+      if (Number.isFinite(paper.Year)) {
+        keywordYears.get(keyword).push(paper.Year);
+      }
+    });
+
+    // 更新共现强度（按所选计数方式累加）
+    const increment = pairIncrement(counting, keywords.length);
+    for (let i = 0; i < keywords.length; i++) {
+      for (let j = i + 1; j < keywords.length; j++) {
+        addCooccurrence(
+          adjacency,
+          keywords[i],
+          keywords[j],
+          counting,
+          increment
+        );
+      }
+    }
+  });
+
+  const keywordArray = [...keywordFreq].map(([keyword, count], index) => {
+    if (index % PROGRESS_INTERVAL === 0) {
+      report("整理共现关系", index, keywordFreq.size);
+    }
+    const years = keywordYears.get(keyword).sort((a, b) => a - b);
+    const connections = [...adjacency.get(keyword)]
+      .map(([other, strength]) => ({ keyword: other, strength }))
+      .sort((a, b) => b.strength - a.strength);
+    return {
+      keyword,
+      count,
+      percentage: (count / papers.length) * 100,
+      years,
+      meanYear: years.length > 0 ? d3.mean(years) : undefined,
+      medianYear: years.length > 0 ? d3.median(years) : undefined,
+      connections,
+      paperIndices: keywordPapers.get(keyword),
+    };
+  });
+
+  return keywordArray.sort((a, b) => b.count - a.count);
+};
@@ -0,0 +1,126 @@
+// 力导向布局：网络图和分析线程共用的力模拟设置
+//
+// 主线程只在拖拽节点时运行模拟，布局的计算在分析线程中进行（见
+// analysis.worker.js），两边使用同一套力的设置。
+
+import * as d3 from "d3";
+
+// 创建（未开始运行的）力模拟。radius(d) 为节点半径，用于防止节点重叠
+export const createLayoutSimulation = (nodes, links, options) => {
+  const { layoutType, width, height, radius } = options;
+
+  // 连线越强，布局中的理想距离越短（与权重度量的取值范围无关）
+  const linkDistanceScale = d3
+    .scaleLinear()
+    .domain(d3.extent(links, (d) => d.value));
+
+  let simulation;
+
+  if (layoutType === "radial") {
+    // 径向布局
+    simulation = d3
+      .forceSimulation(nodes)
+      .force(
+        "link",
+        d3
+          .forceLink(links)
+          .id((d) => d.id)
+          .distance((d) => linkDistanceScale.range([200, 40])(d.value))
+      )
+      .force("charge", d3.forceManyBody().strength(-100))
+      .force(
+        "x",
+        d3
+          .forceX()
+          .strength(0.1)
+          .x(width / 2)
+      )
+      .force(
+        "y",
+        d3
+          .forceY()
+          .strength(0.1)
+          .y(height / 2)
+      )
+      .force(
+        "collide",
+        d3
+          .forceCollide()
+          .radius((d) => radius(d) + 2)
+          .strength(1)
+      )
+      .force(
+        "radial",
+        d3.forceRadial((d) => d.count * 3, width / 2, height / 2).strength(0.8)
+      );
+  } else if (layoutType === "cluster") {
+    // 聚类布局 - 同一社区的节点会聚集在一起
+    simulation = d3
+      .forceSimulation(nodes)
+      .force(
+        "link",
+        d3
+          .forceLink(links)
+          .id((d) => d.id)
+          .distance((d) => linkDistanceScale.range([100, 30])(d.value))
+      )
+      .force("charge", d3.forceManyBody().strength(-200))
+      .force("center", d3.forceCenter(width / 2, height / 2))
+      .force(
+        "collide",
+        d3
+          .forceCollide()
+          .radius((d) => radius(d) + 5)
+          .strength(0.9)
+      )
+      .force("cluster", (alpha) => {
+        // 同一社区的节点相互吸引
+        const centroids = {};
+
+        // 计算每个社区的中心点
+        nodes.forEach((d) => {
+          if (!centroids[d.community]) {
+            centroids[d.community] = { x: 0, y: 0, count: 0 };
+          }
+          centroids[d.community].x += d.x;
+          centroids[d.community].y += d.y;
+          centroids[d.community].count += 1;
+        });
+
+        // 计算质心
+        Object.keys(centroids).forEach((community) => {
+          centroids[community].x /= centroids[community].count;
+          centroids[community].y /= centroids[community].count;
+        });
+
+        // 节点向其社区的质心移动
+        nodes.forEach((d) => {
+          const centroid = centroids[d.community];
+          d.vx += (centroid.x - d.x) * alpha * 0.1;
+          d.vy += (centroid.y - d.y) * alpha * 0.1;
+        });
+      });
+  } else {
+    // 标准力导向布局
+    simulation = d3
+      .forceSimulation(nodes)
+      .force(
+        "link",
+        d3
+          .forceLink(links)
+          .id((d) => d.id)
+          .distance((d) => linkDistanceScale.range([150, 80])(d.value))
+      )
+      .force("charge", d3.forceManyBody().strength(-150))
+      .force("center", d3.forceCenter(width / 2, height / 2))
+      .force(
+        "collide",
+        d3
+          .forceCollide()
+          .radius((d) => radius(d) + 10)
+          .strength(0.7)
+      );
+  }
+
+  return simulation.stop();
+};
@@ -0,0 +1,131 @@
+// 连线权重：把原始共现次数按关键词频率进行标准化
+//
+// 记 c_ij 为两个关键词的共现次数，c_i、c_j 为各自出现次数，N 为论文总数。
+// 每种度量附带一组适合其取值范围的最小连接强度选项。
+
+export const LINK_WEIGHT_MEASURES = {
+  raw: {
+    label: "原始共现次数",
+    compute: (cij) => cij,
+    thresholds: [
+      { value: 1, label: "1 (显示所有连接)" },
+      { value: 2, label: "2 (中等强度)" },
+      { value: 3, label: "3 (仅强连接)" },
+      { value: 5, label: "5 (非常强连接)" },
+    ],
+  },
+  association: {
+    // 观测共现与随机期望共现之比（VOSviewer 的关联强度）
+    label: "关联强度 (VOSviewer)",
+    compute: (cij, ci, cj, n) => (cij * n) / (ci * cj),
+    thresholds: [
+      { value: 0, label: "0 (显示所有连接)" },
+      { value: 1, label: "1 (高于随机期望)" },
+      { value: 2, label: "2 (中等强度)" },
+      { value: 5, label: "5 (仅强连接)" },
+    ],
+  },
+  jaccard: {
+    label: "Jaccard 指数",
+    compute: (cij, ci, cj) => cij / (ci + cj - cij),
+    thresholds: [
+      { value: 0, label: "0 (显示所有连接)" },
+      { value: 0.05, label: "0.05" },
+      { value: 0.1, label: "0.1 (中等强度)" },
+      { value: 0.2, label: "0.2 (仅强连接)" },
+      { value: 0.4, label: "0.4 (非常强连接)" },
+    ],
+  },
+  cosine: {
+    label: "Salton 余弦",
+    compute: (cij, ci, cj) => cij / Math.sqrt(ci * cj),
+    thresholds: [
+      { value: 0, label: "0 (显示所有连接)" },
+      { value: 0.1, label: "0.1" },
+      { value: 0.2, label: "0.2 (中等强度)" },
+      { value: 0.3, label: "0.3 (仅强连接)" },
+      { value: 0.5, label: "0.5 (非常强连接)" },
+    ],
+  },
+  inclusion: {
+    label: "包含指数",
+    compute: (cij, ci, cj) => cij / Math.min(ci, cj),
+    thresholds: [
+      { value: 0, label: "0 (显示所有连接)" },
+      { value: 0.1, label: "0.1" },
+      { value: 0.25, label: "0.25 (中等强度)" },
+      { value: 0.5, label: "0.5 (仅强连接)" },
+      { value: 0.75, label: "0.75 (非常强连接)" },
+    ],
+  },
+  equivalence: {
+    label: "等价指数",
+    compute: (cij, ci, cj) => (cij * cij) / (ci * cj),
+    thresholds: [
+      { value: 0, label: "0 (显示所有连接)" },
+      { value: 0.01, label: "0.01" },
+      { value: 0.05, label: "0.05 (中等强度)" },
+      { value: 0.1, label: "0.1 (仅强连接)" },
+      { value: 0.25, label: "0.25 (非常强连接)" },
+    ],
+  },
+};
+
+// 共现计数方式：一篇包含 n 个关键词的论文对其 n(n-1)/2 个关键词对的贡献
+export const COUNTING_METHODS = {
+  full: {
+    label: "完全计数",
+    description: "每篇论文为其中每一对关键词的共现次数各加1",
+  },
+  fractional: {
+    label: "分数计数",
+    description: "每篇论文的总贡献为1，平均分配给其中所有关键词对",
+  },
+  binary: {
+    label: "二值计数",
+    description:
+      "只记录两个关键词是否共同出现过，共现权重为0或1，只能使用原始共现次数",
+  },
+};
+
+// 分数计数下每篇论文的贡献不超过1，原始共现权重整体偏小，需要更细的阈值选项
+const FRACTIONAL_RAW_THRESHOLDS = [
+  { value: 0, label: "0 (显示所有连接)" },
+  { value: 0.2, label: "0.2" },
+  { value: 0.5, label: "0.5 (中等强度)" },
+  { value: 1, label: "1 (仅强连接)" },
+  { value: 2, label: "2 (非常强连接)" },
+];
+
+// 二值计数下共现权重都是1，更高的阈值会得到空网络
+const BINARY_RAW_THRESHOLDS = [{ value: 1, label: "1 (显示所有连接)" }];
+
+// 当前权重度量和计数方式下可选的最小连接强度
+export const getThresholds = (measure, counting) => {
+  if (measure === "raw" && counting === "fractional") {
+    return FRACTIONAL_RAW_THRESHOLDS;
+  }
+  if (measure === "raw" && counting === "binary") return BINARY_RAW_THRESHOLDS;
+  return LINK_WEIGHT_MEASURES[measure].thresholds;
+};
+
+// 计数方式能否与权重度量搭配。二值计数的共现权重只有0或1，而关键词频率
+// 仍按论文计数，两者代入标准化公式得不到有意义的结果
+export const isMeasureAvailable = (measure, counting) =>
+  counting !== "binary" || measure === "raw";
+
+// 一篇论文为每个关键词对贡献的共现权重
+export const pairIncrement = (counting, keywordCount) => {
+  if (counting === "fractional") {
+    return 2 / (keywordCount * (keywordCount - 1));
+  }
+  return 1;
+};
+
+// 计算两个关键词之间的连线权重
+export const computeLinkWeight = (measure, cij, ci, cj, totalPapers) =>
+  LINK_WEIGHT_MEASURES[measure].compute(cij, ci, cj, totalPapers);
+
+// 格式化权重值：原始次数显示整数，标准化结果保留三位小数
+export const formatWeight = (value) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(3);
@@ -0,0 +1,125 @@
+// 共现矩阵：网络中的关键词两两之间的共现强度，以及行列的排序方式
+//
+// 层次聚类使用平均连接法，两个关键词的距离为 1 - 共现值 / 最大共现值。
+// 合并使用最近邻链算法（时间和空间均为 O(n²)），按聚类树的叶节点顺序排列
+// 行列，共现较强的关键词排在相邻的位置，密集的簇在对角线上形成方块。
+
+import * as d3 from "d3";
+
+export const MATRIX_VALUES = {
+  raw: "原始共现次数",
+  normalized: "标准化权重",
+};
+
+export const MATRIX_ORDERS = {
+  frequency: "按频次",
+  community: "按社区",
+  cluster: "按层次聚类",
+};
+
+// 构建 n × n 的矩阵，values[i * n + j] 为 nodes[i] 与 nodes[j] 的共现值
+// （raw 为原始共现次数，normalized 为按所选度量标准化后的权重）
+export const buildCooccurrenceMatrix = (nodes, valueType) => {
+  const n = nodes.length;
+  const index = new Map(nodes.map((d, i) => [d.id, i]));
+  const values = new Float64Array(n * n);
+  nodes.forEach((d, i) => {
+    d.connections.forEach((c) => {
+      const j = index.get(c.keyword);
+      if (j !== undefined && j !== i) {
+        values[i * n + j] = valueType === "raw" ? c.strength : c.weight;
+      }
+    });
+  });
+  return { nodes, values, max: d3.max(values) || 0 };
+};
+
+// 平均连接层次聚类，返回叶节点顺序（节点下标的数组）
+export const clusterLeafOrder = ({ nodes, values, max }) => {
+  const n = nodes.length;
+  if (n < 3) return d3.range(n);
+
+  const distance = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const value = Math.max(values[i * n + j], values[j * n + i]);
+      distance[i * n + j] = max > 0 ? 1 - value / max : 1;
+    }
+  }
+
+  // 合并后的簇占用其中一个成员原来的位置
+  const size = new Array(n).fill(1);
+  const leaves = d3.range(n).map((i) => [i]);
+  const active = new Array(n).fill(true);
+  const chain = [];
+  let remaining = n;
+
+  while (remaining > 1) {
+    if (chain.length === 0) chain.push(active.indexOf(true));
+    const a = chain[chain.length - 1];
+    const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+
+    // a 的最近邻；距离相同时优先链上的前一个簇，保证链最终终止
+    let nearest = previous;
+    let best = previous >= 0 ? distance[a * n + previous] : Infinity;
+    for (let k = 0; k < n; k++) {
+      if (active[k] && k !== a && distance[a * n + k] < best) {
+        nearest = k;
+        best = distance[a * n + k];
+      }
+    }
+
+    if (nearest !== previous) {
+      chain.push(nearest);
+      continue;
+    }
+
+    // a 与前一个簇互为最近邻：合并到 previous 的位置
+    chain.pop();
+    chain.pop();
+    const b = previous;
+    for (let k = 0; k < n; k++) {
+      if (active[k] && k !== a && k !== b) {
+        const merged =
+          (size[a] * distance[a * n + k] + size[b] * distance[b * n + k]) /
+          (size[a] + size[b]);
+        distance[b * n + k] = merged;
+        distance[k * n + b] = merged;
+      }
+    }
+    size[b] += size[a];
+    leaves[b] = leaves[b].concat(leaves[a]);
+    active[a] = false;
+    remaining -= 1;
+  }
+
+  return leaves[active.indexOf(true)];
+};
+
+// 行列的排列顺序（节点下标的数组）
+export const matrixOrder = (matrix, order) => {
+  const { nodes } = matrix;
+  if (order === "cluster") return clusterLeafOrder(matrix);
+  const byCount = (a, b) => nodes[b].count - nodes[a].count;
+  const indices = d3.range(nodes.length);
+  if (order === "community") {
+    return indices.sort(
+      (a, b) =>
+        d3.ascending(nodes[a].community, nodes[b].community) || byCount(a, b)
+    );
+  }
+  return indices.sort(byCount);
+};
+
+// 导出为 CSV 的二维数组：首行和首列为关键词
+export const matrixRows = (matrix, indices) => {
+  const n = matrix.nodes.length;
+  const header = ["", ...indices.map((i) => matrix.nodes[i].id)];
+  return [
+    header,
+    ...indices.map((i) => [
+      matrix.nodes[i].id,
+      ...indices.map((j) => Number(matrix.values[i * n + j].toFixed(4))),
+    ]),
+  ];
+};
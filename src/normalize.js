@@ -0,0 +1,132 @@
+import Papa from "papaparse";
+
+// 关键词规范化：在统计频率和共现之前把同一术语的不同写法合并
+//
+// 处理顺序：全角转半角 → 标点/连字符统一 → 大小写折叠 → 英文复数还原，
+// 之后再按同义词表（VOSviewer 格式的 "label → replace by"）合并或删除。
+
+export const DEFAULT_NORMALIZATION = {
+  fullWidth: true,
+  unifyPunctuation: true,
+  caseFolding: true,
+  stemPlurals: false,
+};
+
+// 以 s 结尾但不是复数的常见英文词
+const NON_PLURAL_WORDS = new Set([
+  "analysis",
+  "basis",
+  "bias",
+  "census",
+  "chaos",
+  "consensus",
+  "corpus",
+  "covid",
+  "diagnosis",
+  "focus",
+  "gas",
+  "hypothesis",
+  "lens",
+  "news",
+  "series",
+  "species",
+  "status",
+  "synthesis",
+  "thesis",
+  "virus",
+]);
+
+// 把英文单词的复数形式还原为单数（仅处理规则变化）
+export const singularize = (word) => {
+  const lower = word.toLowerCase();
+  if (word.length <= 3 || !/^[a-z]+$/i.test(word)) return word;
+  if (NON_PLURAL_WORDS.has(lower)) return word;
+  // physics、statistics 等学科名词
+  if (/ics$/.test(lower)) return word;
+  if (/[^aeiou]ies$/.test(lower)) return `${word.slice(0, -3)}y`;
+  if (/(ss|x|ch|sh)es$/.test(lower)) return word.slice(0, -2);
+  if (/(ss|us|is)$/.test(lower)) return word;
+  if (/s$/.test(lower)) return word.slice(0, -1);
+  return word;
+};
+
+// 规范化单个关键词
+export const normalizeKeyword = (keyword, options = DEFAULT_NORMALIZATION) => {
+  let text = String(keyword);
+
+  if (options.fullWidth) {
+    // NFKC 会把全角字母、数字、标点和全角空格转换为半角形式
+    text = text.normalize("NFKC");
+  }
+
+  if (options.unifyPunctuation) {
+    text = text
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/[‐‑‒–—―−_-]+/g, " ")
+      .replace(/^["'\s]+|["'.\s]+$/g, "");
+  }
+
+  text = text.replace(/\s+/g, " ").trim();
+
+  if (options.caseFolding) {
+    text = text.toLowerCase();
+  }
+
+  if (options.stemPlurals) {
+    // 英文复合词只还原最后一个（中心）词，如 neural networks → neural network
+    const words = text.split(" ");
+    words[words.length - 1] = singularize(words[words.length - 1]);
+    text = words.join(" ");
+  }
+
+  return text;
+};
+
+// 解析同义词表文件：两列（label、replace by），制表符或逗号分隔；
+// replace by 为空表示删除该术语。返回 [label, replaceBy] 数组
+export const parseThesaurus = (text) => {
+  const content = text.replace(/^\uFEFF/, "");
+  const results = Papa.parse(content, {
+    delimiter: content.includes("\t") ? "\t" : ",",
+    skipEmptyLines: true,
+  });
+
+  const entries = results.data
+    .filter((row) => row[0] !== undefined && String(row[0]).trim().length > 0)
+    .map((row) => [String(row[0]).trim(), String(row[1] || "").trim()]);
+
+  // 跳过表头行
+  if (entries.length > 0 && entries[0][0].toLowerCase() === "label") {
+    entries.shift();
+  }
+
+  if (entries.length === 0) {
+    throw new Error("同义词表中没有可用的条目");
+  }
+
+  return entries;
+};
+
+// 按当前规范化规则构建同义词映射：规范化后的 label → 规范化后的替换词（空字符串表示删除）
+export const buildThesaurusMap = (entries, options) =>
+  new Map(
+    (entries || []).map(([label, replaceBy]) => [
+      normalizeKeyword(label, options),
+      replaceBy ? normalizeKeyword(replaceBy, options) : "",
+    ])
+  );
+
+// 对一篇论文的关键词依次做规范化和同义词替换，并去除重复
+export const cleanKeywords = (keywords, options, thesaurusMap) => {
+  const cleaned = keywords
+    .map((keyword) => {
+      const normalized = normalizeKeyword(keyword, options);
+      return thesaurusMap.has(normalized)
+        ? thesaurusMap.get(normalized)
+        : normalized;
+    })
+    .filter((keyword) => keyword.length > 0);
+
+  return [...new Set(cleaned)];
+};
@@ -0,0 +1,100 @@
+// 项目文件：把一次分析的数据、处理设置和图面状态保存为一个 JSON 文件，
+// 重新打开后可以得到完全相同的网络图
+//
+// 文献数据保存解析后的论文记录，重新打开时按保存的设置重新统计；导入的
+// GEXF/GraphML 网络没有论文记录，直接保存关键词数据。节点坐标和缩放状态
+// 保存在 layout 中，打开后直接使用，不再重新布局。
+
+export const PROJECT_FORMAT = "keyword-network-project";
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = ".kwnet.json";
+
+// 保存到项目文件中的设置项
+export const PROJECT_SETTINGS = [
+  "columnMapping",
+  "tokenization",
+  "normalization",
+  "thesaurus",
+  "counting",
+  "linkWeight",
+  "minLinkStrength",
+  "maxKeywords",
+  "resolution",
+  "timeSlice",
+  "burstOptions",
+  "evolutionPeriods",
+  "sizeBy",
+  "labelPriority",
+  "showLabels",
+  "colorMode",
+  "communityNameBy",
+  "customCommunityNames",
+  "visualStyle",
+  "layoutType",
+  "layoutSeed",
+  "densityView",
+];
+
+const roundCoordinate = (value) => Math.round(value * 100) / 100;
+
+// 生成项目文件内容。source 为 { papers, usingFile, importedNetwork }，
+// 其中 importedNetwork 为 { name, keywords, totalPapers } 或 null；
+// layout 为 { nodes, transform, pinned }，pinned 为固定节点的关键词集合
+export const serializeProject = (source, settings, layout) => {
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    source,
+    settings: Object.fromEntries(
+      PROJECT_SETTINGS.map((key) => [key, settings[key]])
+    ),
+    layout: {
+      transform: {
+        x: layout.transform.x,
+        y: layout.transform.y,
+        k: layout.transform.k,
+      },
+      positions: layout.nodes
+        .filter((node) => Number.isFinite(node.x) && Number.isFinite(node.y))
+        .map((node) => ({
+          id: node.id,
+          x: roundCoordinate(node.x),
+          y: roundCoordinate(node.y),
+          pinned: layout.pinned.has(node.id),
+        })),
+    },
+  };
+  return JSON.stringify(project);
+};
+
+// 解析项目文件，格式不符时抛出错误
+export const parseProject = (text) => {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (err) {
+    throw new Error("项目文件不是有效的JSON");
+  }
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error("不是关键词网络项目文件");
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error("项目文件由更新版本的程序保存，请升级后再打开");
+  }
+  if (!project.source || !Array.isArray(project.source.papers)) {
+    throw new Error("项目文件缺少数据");
+  }
+
+  const layout = project.layout || {};
+  return {
+    source: project.source,
+    settings: project.settings || {},
+    layout: {
+      transform: layout.transform || { x: 0, y: 0, k: 1 },
+      positions: new Map(
+        (layout.positions || []).map((position) => [position.id, position])
+      ),
+    },
+  };
+};
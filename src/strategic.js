@@ -0,0 +1,100 @@
+// 战略坐标图（Callon 中心度 × 密度）
+//
+// 中心度为主题（社区）与其他主题之间连线权重之和，反映主题在整个领域中的
+// 地位；密度为主题内部连线权重之和除以关键词数，反映主题自身的发展程度。
+// 以两者的中位数为界把主题分到四个象限。
+
+export const QUADRANTS = {
+  motor: {
+    label: "驱动主题",
+    description: "高中心度、高密度，发展成熟且处于领域核心",
+  },
+  niche: {
+    label: "利基主题",
+    description: "低中心度、高密度，内部发展成熟但较为边缘",
+  },
+  emerging: {
+    label: "新兴或衰退主题",
+    description: "低中心度、低密度，尚在形成或正在消退",
+  },
+  basic: {
+    label: "基础主题",
+    description: "高中心度、低密度，重要但尚未充分发展",
+  },
+};
+
+const linkEndId = (end) => (typeof end === "object" ? end.id : end);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[mid]
+    : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// 计算每个社区的中心度、密度、总频次和代表关键词，并划分象限
+export const computeStrategicThemes = (nodes, links) => {
+  const communityOf = new Map(nodes.map((node) => [node.id, node.community]));
+  const themes = new Map();
+  nodes.forEach((node) => {
+    if (!themes.has(node.community)) {
+      themes.set(node.community, {
+        community: node.community,
+        members: [],
+        internal: 0,
+        external: 0,
+      });
+    }
+    themes.get(node.community).members.push(node);
+  });
+
+  links.forEach((link) => {
+    const a = communityOf.get(linkEndId(link.source));
+    const b = communityOf.get(linkEndId(link.target));
+    if (a === undefined || b === undefined) return;
+    if (a === b) {
+      themes.get(a).internal += link.value;
+    } else {
+      themes.get(a).external += link.value;
+      themes.get(b).external += link.value;
+    }
+  });
+
+  const result = [...themes.values()].map((theme) => {
+    const keywords = theme.members
+      .sort((x, y) => y.count - x.count)
+      .map((node) => node.id);
+    return {
+      community: theme.community,
+      keywords,
+      label: keywords.slice(0, 3).join("、"),
+      frequency: theme.members.reduce((sum, node) => sum + node.count, 0),
+      centrality: theme.external,
+      density: theme.internal / theme.members.length,
+    };
+  });
+  if (result.length === 0) {
+    return { themes: [], centralityMedian: 0, densityMedian: 0 };
+  }
+
+  const centralityMedian = median(result.map((theme) => theme.centrality));
+  const densityMedian = median(result.map((theme) => theme.density));
+  result.forEach((theme) => {
+    const central = theme.centrality >= centralityMedian;
+    const dense = theme.density >= densityMedian;
+    theme.quadrant = central
+      ? dense
+        ? "motor"
+        : "basic"
+      : dense
+      ? "niche"
+      : "emerging";
+  });
+
+  return {
+    themes: result.sort((a, b) => a.community - b.community),
+    centralityMedian,
+    densityMedian,
+  };
+};
@@ -0,0 +1,54 @@
+// 时间切片：按发表年份截取论文，观察关键词网络随时间的演化
+//
+// 累积模式显示从最早年份到当前年份的全部论文；滑动窗口模式只显示
+// 以当前年份结尾的若干年内的论文。没有年份的记录不参与切片。
+
+export const DEFAULT_TIME_SLICE = {
+  enabled: false,
+  mode: "cumulative", // 'cumulative', 'window'
+  windowSize: 5,
+  year: null, // 当前切片的结束年份，null 表示最新年份
+};
+
+export const SLICE_MODES = {
+  cumulative: "累积",
+  window: "滑动窗口",
+};
+
+// 论文记录的年份范围 [最早, 最晚]，没有年份时返回 null
+export const getYearRange = (papers) => {
+  let min = Infinity;
+  let max = -Infinity;
+  papers.forEach((paper) => {
+    if (!Number.isFinite(paper.Year)) return;
+    min = Math.min(min, paper.Year);
+    max = Math.max(max, paper.Year);
+  });
+  return min <= max ? [min, max] : null;
+};
+
+// 当前切片覆盖的年份区间 [起始, 结束]
+export const getSlicePeriod = (yearRange, options) => {
+  const [minYear, maxYear] = yearRange;
+  const end =
+    options.year === null
+      ? maxYear
+      : Math.min(Math.max(options.year, minYear), maxYear);
+  const start =
+    options.mode === "window"
+      ? Math.max(minYear, end - options.windowSize + 1)
+      : minYear;
+  return [start, end];
+};
+
+// 截取落在切片区间内的论文
+export const slicePapers = (papers, period) => {
+  const [start, end] = period;
+  return papers.filter(
+    (paper) =>
+      Number.isFinite(paper.Year) && paper.Year >= start && paper.Year <= end
+  );
+};
+
+export const formatPeriod = ([start, end]) =>
+  start === end ? String(start) : `${start}–${end}`;
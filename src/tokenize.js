@@ -0,0 +1,51 @@
+// 关键词切分：同时按一组分隔符切分关键词字段
+//
+// 引号（"..." 或 “...”）内的内容视为一个完整短语，不会被其中的分隔符切开；
+// 可选地去除 "(CNN)"、"（综述）" 这类括号限定语。
+
+export const DEFAULT_TOKENIZATION = {
+  delimiters: ";；,，、",
+  respectQuotes: true,
+  stripBrackets: false,
+};
+
+const QUOTE_PAIRS = { '"': '"', "“": "”" };
+
+const BRACKETED_QUALIFIER = /\s*[(（[【][^()（）[\]【】]*[)）\]】]\s*/g;
+
+// 把关键词字段切分为关键词数组
+export const tokenizeKeywords = (text, options = DEFAULT_TOKENIZATION) => {
+  if (text === null || text === undefined) return [];
+
+  const source = String(text);
+  // 换行始终作为分隔符（多个关键词列合并时按行拼接）
+  const delimiters = new Set([...options.delimiters, "\n", "\r"]);
+  const tokens = [];
+  let current = "";
+  let closingQuote = null;
+
+  for (const char of source) {
+    if (closingQuote) {
+      if (char === closingQuote) {
+        closingQuote = null;
+      } else {
+        current += char;
+      }
+    } else if (options.respectQuotes && QUOTE_PAIRS[char]) {
+      closingQuote = QUOTE_PAIRS[char];
+    } else if (delimiters.has(char)) {
+      tokens.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  tokens.push(current);
+
+  return tokens
+    .map((token) =>
+      options.stripBrackets ? token.replace(BRACKETED_QUALIFIER, " ") : token
+    )
+    .map((token) => token.replace(/\s+/g, " ").trim())
+    .filter((token) => token.length > 0);
+};